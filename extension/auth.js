@@ -0,0 +1,131 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// AUTH — Session tokens shared by the background worker and the side panel
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Tokens are refreshed shortly before `authTokenExpiry` (an alarm wakes the worker,
+// so this works with the panel closed) and again once if a request still comes back
+// 401. Refreshes are serialised with a Web Lock across every extension context, since
+// the server rotates the refresh token and a second concurrent refresh would fail.
+// The user is only signed out when the server rejects the refresh token itself.
+
+import { getSecure, setSecure } from "./vault.js";
+import { request } from "./http.js";
+
+export const DEFAULT_API_BASE = "https://agent.vaulty.ca";
+export const AUTH_KEYS = ["authToken", "refreshToken", "authTokenExpiry", "authUser"];
+export const AUTH_REFRESH_ALARM = "auth-refresh";
+
+const REFRESH_AHEAD_MS = 2 * 60 * 1000;
+const REFRESH_LOCK = "vaulty-auth-refresh";
+
+export async function getApiBase() {
+  const { apiBase } = await chrome.storage.local.get(["apiBase"]);
+  return apiBase || DEFAULT_API_BASE;
+}
+
+// ── Tokens ──
+
+// Current access token, refreshed first when it is about to expire. Null when signed out.
+export async function getAccessToken() {
+  const { authToken, authTokenExpiry } = await getSecure(["authToken", "authTokenExpiry"]);
+  if (!authToken) return null;
+  if (expiresSoon(authTokenExpiry)) {
+    await refreshSession(authToken);
+    return (await getSecure(["authToken"])).authToken || null;
+  }
+  return authToken;
+}
+
+// Stores a login or refresh response ({ accessToken, refreshToken, expiresAt, user? }).
+export async function saveSession(data) {
+  const items = {
+    authToken: data.accessToken,
+    refreshToken: data.refreshToken,
+    authTokenExpiry: data.expiresAt,
+  };
+  if (data.user) items.authUser = data.user;
+  await setSecure(items);
+  await scheduleRefresh(data.expiresAt);
+}
+
+export async function clearSession() {
+  await chrome.storage.local.remove(AUTH_KEYS);
+  await chrome.alarms.clear(AUTH_REFRESH_ALARM);
+}
+
+// Trades the refresh token for new tokens. `staleToken` is the access token the caller saw
+// fail or expire; if another context already replaced it, there is nothing left to do.
+// Returns true when a usable token is stored afterwards.
+export async function refreshSession(staleToken) {
+  return navigator.locks.request(REFRESH_LOCK, async () => {
+    const { authToken, refreshToken, authTokenExpiry } = await getSecure(AUTH_KEYS);
+    if (authToken && authToken !== staleToken && !expiresSoon(authTokenExpiry)) return true;
+    if (!authToken) return false;
+    if (!refreshToken) {
+      await expireSession();
+      return false;
+    }
+
+    let res;
+    try {
+      const apiBase = await getApiBase();
+      // Never resent: the server rotates the refresh token, so a retry of a refresh that
+      // worked but whose response was lost would fail and sign the user out
+      res = await request(`${apiBase}/api/auth/refresh`, {
+        method: "POST",
+        retries: 0,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken }),
+      });
+    } catch {
+      return false; // offline or timed out: keep the tokens and try again later
+    }
+
+    if (!res.ok) {
+      if (res.status === 400 || res.status === 401) await expireSession();
+      return false;
+    }
+    await saveSession(await res.json());
+    return true;
+  });
+}
+
+// ── Requests ──
+
+// request() (timeouts, retries, cancellation; see http.js) with the bearer token; on a
+// 401 it refreshes once and retries. A 401 is returned as-is when the refresh can't
+// happen (signed out, or offline).
+export async function fetchWithAuth(url, options = {}) {
+  const send = (token) => {
+    const headers = { ...(options.headers || {}) };
+    if (token) headers["Authorization"] = `Bearer ${token}`;
+    return request(url, { ...options, headers });
+  };
+
+  const token = await getAccessToken();
+  const res = await send(token);
+  if (res.status !== 401 || !token) return res;
+
+  if (!(await refreshSession(token))) return res;
+  const retried = await send((await getSecure(["authToken"])).authToken);
+  if (retried.status === 401) await expireSession();
+  return retried;
+}
+
+// ── Internals ──
+
+// authTokenExpiry is in seconds since the epoch, as returned by the server
+function expiresSoon(expiry) {
+  return !!expiry && expiry * 1000 - Date.now() < REFRESH_AHEAD_MS;
+}
+
+async function scheduleRefresh(expiry) {
+  if (!expiry) return;
+  const when = Math.max(expiry * 1000 - REFRESH_AHEAD_MS, Date.now() + 1000);
+  await chrome.alarms.create(AUTH_REFRESH_ALARM, { when });
+}
+
+async function expireSession() {
+  await clearSession();
+  chrome.runtime.sendMessage({ type: "AUTH_EXPIRED" }).catch(() => {});
+}
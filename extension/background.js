@@ -1,8 +1,27 @@
-const DEFAULT_API_BASE = "https://agent.vaulty.ca";
-const PROFILE_KEY = "userProfile";
+import { flattenProfile, localMapping } from "./local-fill.js";
+import { getSecure, setSecure, lockVault, VAULT_ALARM } from "./vault.js";
+import { AUTH_REFRESH_ALARM, fetchWithAuth, getApiBase, refreshSession } from "./auth.js";
+import { DEFAULT_RETRIES, isCancelled } from "./http.js";
+import "./fingerprint.js"; // fieldIdentity, hashString, formFingerprint (shared with content.js)
+
+const PROFILE_KEY = "userProfile"; // single profile saved before named profiles existed
+const PROFILES_KEY = "profiles";
+const ACTIVE_PROFILE_KEY = "activeProfileId";
+const SITE_PROFILES_KEY = "siteProfiles";
+const DOCUMENTS_KEY = "documents";
+const MAPPING_CACHE_KEY = "mappingCache";
+const FILL_HISTORY_KEY = "fillHistory";
+const JOB_INPUTS_KEY = "jobInputs";
 
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
+// Per-attempt timeouts for AI calls. They are POSTs, which http.js doesn't retry on its
+// own; AI_RETRIES opts them back in for network errors and 5xx. A failed attempt the
+// server already counted costs one more of the day's requests, which beats failing the fill.
+const FILL_TIMEOUT_MS = 60000;
+const COPILOT_TIMEOUT_MS = 60000;
+const AI_RETRIES = DEFAULT_RETRIES;
+
 // Open side panel on extension icon click (no popup)
 chrome.action.onClicked.addListener(async (tab) => {
   try {
@@ -12,7 +31,7 @@ chrome.action.onClicked.addListener(async (tab) => {
   }
 });
 
-// Open side panel on hotkey (activate-copilot)
+// Open side panel on hotkey (activate-copilot), undo the last fill (undo-fill)
 chrome.commands.onCommand.addListener(async (command) => {
   if (command === "activate-copilot") {
     try {
@@ -22,6 +41,23 @@ chrome.commands.onCommand.addListener(async (command) => {
       console.error("[agent] Failed to open side panel:", e);
     }
   }
+  if (command === "undo-fill") {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id) return;
+    await sessionsReady;
+    const res = await undoFill(tab.id);
+    notifyPanel(tab.id, res.ok ? "idle" : "error", res.ok ? undoMessage(res.restored) : res.error);
+  }
+});
+
+// Auto-lock the vault once it has gone unused for its timeout; refresh tokens ahead of expiry.
+// The fill keep-alive alarm needs no case here: waking the worker restores its sessions.
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === VAULT_ALARM) lockVault();
+  if (alarm.name === AUTH_REFRESH_ALARM) {
+    refreshSession().catch((e) => console.warn("[auth] Scheduled refresh failed:", e));
+  }
+  if (alarm.name === QUEUE_ALARM) pumpQueue();
 });
 
 async function setJob(jobId, patch) {
@@ -36,24 +72,51 @@ async function getJob(jobId) {
   return data[key] || {};
 }
 
-async function getApiBase() {
-  const { apiBase } = await chrome.storage.local.get(["apiBase"]);
-  return apiBase || DEFAULT_API_BASE;
+function sendToTab(tabId, msg, frameId = 0) {
+  return chrome.tabs.sendMessage(tabId, msg, { frameId });
 }
 
-function sendToTab(tabId, msg) {
-  return chrome.tabs.sendMessage(tabId, msg, { frameId: 0 });
+async function getFrameIds(tabId) {
+  const frames = await chrome.webNavigation.getAllFrames({ tabId }).catch(() => null);
+  return frames?.length ? frames.map(f => f.frameId) : [0];
 }
 
+// fingerprint.js defines what content.js and this worker both call a step's fingerprint
+const CONTENT_SCRIPT_FILES = ["fingerprint.js", "content.js"];
+
+// Injects content.js into every frame that doesn't have it yet. Throws if the top
+// frame can't be scripted; iframes we aren't allowed into are skipped.
 async function ensureContentScript(tabId) {
-  try {
-    const res = await chrome.tabs.sendMessage(tabId, { type: "ping" }, { frameId: 0 });
-    if (res?.ok) return;
-  } catch {}
+  const frameIds = await getFrameIds(tabId);
+  const missing = [];
+  for (const frameId of frameIds) {
+    try {
+      const res = await chrome.tabs.sendMessage(tabId, { type: "ping" }, { frameId });
+      if (res?.ok) continue;
+    } catch {}
+    missing.push(frameId);
+  }
+  if (missing.length === 0) return;
+
+  if (missing.length === frameIds.length) {
+    await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      files: CONTENT_SCRIPT_FILES,
+    });
+    return;
+  }
+  if (missing.includes(0)) {
+    await chrome.scripting.executeScript({
+      target: { tabId, frameIds: [0] },
+      files: CONTENT_SCRIPT_FILES,
+    });
+  }
+  const subframes = missing.filter(id => id !== 0);
+  if (subframes.length === 0) return;
   await chrome.scripting.executeScript({
-    target: { tabId },
-    files: ["content.js"],
-  });
+    target: { tabId, frameIds: subframes },
+    files: CONTENT_SCRIPT_FILES,
+  }).catch((e) => console.warn("[agent] Could not inject into some frames:", e));
 }
 
 function friendlyError(fallback, err) {
@@ -89,9 +152,8 @@ async function captureScreenshot(tabId) {
   }
 }
 
-async function copilotSummarize(tabId) {
-  const apiBase = await getApiBase();
-
+// Page text, title and selection for the copilot; falls back to the tab's URL and title.
+async function observePage(tabId) {
   try {
     await ensureContentScript(tabId);
   } catch {
@@ -107,9 +169,17 @@ async function copilotSummarize(tabId) {
     context.url = tab.url || "";
     context.title = tab.title || "";
   }
+  return context;
+}
+
+async function copilotSummarize(tabId) {
+  const apiBase = await getApiBase();
+  const context = await observePage(tabId);
   const screenshot = await captureScreenshot(tabId);
   const response = await authedFetch(`${apiBase}/api/copilot/interpret`, {
     method: "POST",
+    timeoutMs: COPILOT_TIMEOUT_MS,
+    retries: AI_RETRIES,
     body: JSON.stringify({
       task: "summarize",
       screenshot: screenshot || undefined,
@@ -128,65 +198,259 @@ async function copilotSummarize(tabId) {
   return response.json();
 }
 
+// ── Copilot chat ──
+//
+// One conversation per tab, in chrome.storage.session under "copilotChat:<tabId>":
+//   { url, title, pendingSince, messages: [{ role: "user" | "assistant" | "error", content, at }] }
+// It starts over when the tab moves to another page (hash changes don't count) and is
+// dropped with the tab. Every question is sent with fresh page text and a screenshot,
+// plus the earlier turns; questions that failed are left out of what the server sees.
+
+const COPILOT_CHAT_PREFIX = "copilotChat:";
+const MAX_CHAT_HISTORY = 40;
+const MAX_QUESTION_CHARS = 2000;
+
+async function copilotAsk(tabId, question) {
+  const context = await observePage(tabId);
+  const chat = await loadCopilotChat(tabId, context.url);
+  chat.title = context.title;
+  chat.messages.push({ role: "user", content: question.slice(0, MAX_QUESTION_CHARS), at: Date.now() });
+  chat.pendingSince = Date.now();
+  await saveCopilotChat(tabId, chat);
+
+  try {
+    const apiBase = await getApiBase();
+    const screenshot = await captureScreenshot(tabId);
+    const response = await authedFetch(`${apiBase}/api/copilot/interpret`, {
+      method: "POST",
+      timeoutMs: COPILOT_TIMEOUT_MS,
+      retries: AI_RETRIES,
+      body: JSON.stringify({
+        task: "chat",
+        screenshot: screenshot || undefined,
+        context: {
+          url: context.url,
+          title: context.title,
+          selectedText: context.selectedText || undefined,
+          pageText: context.pageText || undefined,
+        },
+        messages: chatTurns(chat.messages),
+      }),
+    });
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.message || "Could not answer that. Please try again.");
+    }
+    const { content } = await response.json();
+    chat.messages.push({ role: "assistant", content: content || "No answer returned.", at: Date.now() });
+  } catch (err) {
+    console.error("[copilot] Chat failed:", err);
+    chat.messages.push({ role: "error", content: friendlyError("Could not answer that. Please try again.", err), at: Date.now() });
+  }
+  chat.pendingSince = null;
+  chat.messages = chat.messages.slice(-MAX_CHAT_HISTORY);
+  await saveCopilotChat(tabId, chat);
+}
+
+// The conversation as the server sees it: no errors, and no questions that got one
+function chatTurns(messages) {
+  return messages
+    .filter((m, i) => m.role === "assistant" || (m.role === "user" && messages[i + 1]?.role !== "error"))
+    .map(({ role, content }) => ({ role, content }));
+}
+
+async function loadCopilotChat(tabId, url) {
+  const key = `${COPILOT_CHAT_PREFIX}${tabId}`;
+  const chat = (await chrome.storage.session.get([key]))[key];
+  if (chat && samePage(chat.url, url)) return chat;
+  return { url, title: "", pendingSince: null, messages: [] };
+}
+
+function saveCopilotChat(tabId, chat) {
+  return chrome.storage.session.set({ [`${COPILOT_CHAT_PREFIX}${tabId}`]: chat });
+}
+
+function samePage(a, b) {
+  return (a || "").split("#")[0] === (b || "").split("#")[0];
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.storage.session.remove(`${COPILOT_CHAT_PREFIX}${tabId}`).catch(() => {});
+});
+
 // ============================================================
 // EXTERNAL MESSAGING - Allow external web apps to trigger agent
 // ============================================================
 
-const ALLOWED_EXTERNAL_ORIGINS = [
-  "https://vaulty.ca",
-  "http://localhost:3000"
-];
+// ── External access ──
+//
+// Chrome only lets the sites in the manifest's externally_connectable list message us at
+// all. Within those, an origin has no access until the user pairs it from the side panel,
+// and then only the scopes they granted:
+//   externalOrigins: { [origin]: { scopes: ["status", "start", "cancel"], pairedAt } }
+// Origins are matched exactly. Requests to pair wait in chrome.storage.session
+// ("externalPairing": { [origin]: { origin, scopes, requestedAt } }) until the panel answers.
+
+const EXTERNAL_ORIGINS_KEY = "externalOrigins";
+const PAIRING_KEY = "externalPairing";
+const EXTERNAL_SCOPES = ["status", "start", "cancel"];
+
+// Scope each external request needs; requests not listed need none
+const REQUEST_SCOPES = {
+  GET_JOB_STATUS: "status",
+  LIST_DOCUMENTS: "start",
+  START_JOB_FROM_EXTERNAL: "start",
+  QUEUE_JOBS: "start",
+  APPROVE_SUBMIT: "start",
+  CANCEL_JOB: "cancel",
+};
+
+const PAIRING_MESSAGE = "Open the Vaulty side panel and allow this site, then try again.";
+
+function senderOrigin(sender) {
+  try {
+    return new URL(sender.url).origin;
+  } catch {
+    return null;
+  }
+}
+
+// Granted scopes, or null when the origin isn't paired
+async function externalScopes(origin) {
+  const data = await chrome.storage.local.get([EXTERNAL_ORIGINS_KEY]);
+  return data[EXTERNAL_ORIGINS_KEY]?.[origin]?.scopes || null;
+}
+
+// Null when `origin` may make the request, otherwise the error response to send back.
+// A start request from an unpaired site asks the user to pair it.
+async function checkExternalAccess(origin, type) {
+  const scope = REQUEST_SCOPES[type];
+  if (!origin) return { ok: false, code: "unauthorized", error: "Unauthorized origin" };
+  if (!scope) return null;
+  const scopes = await externalScopes(origin);
+  if (!scopes) {
+    if (type === "START_JOB_FROM_EXTERNAL") await requestPairing(origin, EXTERNAL_SCOPES);
+    return { ok: false, code: "pairing_required", error: PAIRING_MESSAGE };
+  }
+  if (!scopes.includes(scope)) {
+    return { ok: false, code: "forbidden", error: `This site isn't allowed to do that ("${scope}"). Change it in Vaulty → Settings → Connected Sites.` };
+  }
+  return null;
+}
+
+async function requestPairing(origin, scopes) {
+  const data = await chrome.storage.session.get([PAIRING_KEY]);
+  const pending = data[PAIRING_KEY] || {};
+  if (pending[origin]) return;
+  pending[origin] = { origin, scopes, requestedAt: Date.now() };
+  await chrome.storage.session.set({ [PAIRING_KEY]: pending });
+}
+
+// Badge the toolbar icon while a pairing request waits for the user
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "session" && changes[PAIRING_KEY]) {
+    const waiting = Object.keys(changes[PAIRING_KEY].newValue || {}).length;
+    chrome.action.setBadgeText({ text: waiting ? "!" : "" }).catch(() => {});
+  }
+  // Revoking a site (or its status scope) closes its event ports
+  if (area === "local" && changes[EXTERNAL_ORIGINS_KEY]) {
+    const origins = changes[EXTERNAL_ORIGINS_KEY].newValue || {};
+    for (const client of externalPorts) {
+      if (origins[client.origin]?.scopes?.includes("status")) continue;
+      externalPorts.delete(client);
+      client.port.disconnect();
+    }
+  }
+});
+
+// Fields GET_JOB_STATUS and job events report for a job
+function jobStatusPayload(job) {
+  return {
+    status: job.status,
+    step: job.step,
+    phase: job.applicationState?.progress?.phase,
+    progress: job.applicationState?.progress?.estimatedProgress,
+    error: job.error
+  };
+}
 
 chrome.runtime.onMessageExternal.addListener(
   (request, sender, sendResponse) => {
     (async () => {
       try {
-        const senderOrigin = sender.url ? new URL(sender.url).origin : null;
-        const isAllowed = senderOrigin && ALLOWED_EXTERNAL_ORIGINS.some(
-          allowed => senderOrigin === allowed || senderOrigin.startsWith(allowed.replace("/*", ""))
-        );
-
-        if (!isAllowed) {
-          sendResponse({ ok: false, error: "Unauthorized origin" });
+        const origin = senderOrigin(sender);
+        const denied = await checkExternalAccess(origin, request.type);
+        if (denied) {
+          sendResponse(denied);
           return;
         }
 
         if (request.type === "GET_EXTENSION_STATUS") {
+          const scopes = await externalScopes(origin);
           sendResponse({
             ok: true,
             installed: true,
-            version: chrome.runtime.getManifest().version
+            version: chrome.runtime.getManifest().version,
+            paired: !!scopes,
+            scopes: scopes || []
           });
           return;
         }
 
+        if (request.type === "REQUEST_PAIRING") {
+          const scopes = await externalScopes(origin);
+          if (scopes) {
+            sendResponse({ ok: true, paired: true, scopes });
+            return;
+          }
+          const wanted = (request.scopes || EXTERNAL_SCOPES).filter(s => EXTERNAL_SCOPES.includes(s));
+          await requestPairing(origin, wanted.length ? wanted : EXTERNAL_SCOPES);
+          sendResponse({ ok: true, paired: false, message: PAIRING_MESSAGE });
+          return;
+        }
+
+        // Sites only see and steer the jobs they started
+        const ownJob = request.jobId ? await getJob(request.jobId) : null;
+        const owned = ownJob?.externalSource === origin;
+
         if (request.type === "GET_JOB_STATUS") {
-          const job = await getJob(request.jobId);
           sendResponse({
             ok: true,
-            job: job ? {
-              status: job.status,
-              step: job.step,
-              phase: job.applicationState?.progress?.phase,
-              progress: job.applicationState?.progress?.estimatedProgress,
-              error: job.error
-            } : null
+            job: owned ? jobStatusPayload(ownJob) : null
+          });
+          return;
+        }
+
+        if (request.type === "LIST_DOCUMENTS") {
+          const documents = await loadDocuments();
+          sendResponse({
+            ok: true,
+            documents: documents.map(({ id, name, tags, fileName }) => ({ id, name, tags, fileName })),
           });
           return;
         }
 
         if (request.type === "START_JOB_FROM_EXTERNAL") {
-          const result = await handleExternalJobStart(request.payload, senderOrigin);
+          const result = await handleExternalJobStart(request.payload, origin);
           sendResponse(result);
           return;
         }
 
+        if (request.type === "QUEUE_JOBS") {
+          if (!Array.isArray(request.jobs) || request.jobs.length === 0) {
+            sendResponse({ ok: false, error: "jobs must be a non-empty array" });
+            return;
+          }
+          sendResponse(await enqueueJobs(request.jobs, origin));
+          return;
+        }
+
         if (request.type === "CANCEL_JOB") {
-          if (request.jobId) {
-            await setJob(request.jobId, { stop: true, status: "stopping" });
+          if (owned) {
+            await cancelJob(request.jobId);
             sendResponse({ ok: true });
           } else {
-            sendResponse({ ok: false, error: "jobId is required" });
+            sendResponse({ ok: false, error: request.jobId ? "Unknown jobId" : "jobId is required" });
           }
           return;
         }
@@ -201,7 +465,122 @@ chrome.runtime.onMessageExternal.addListener(
   }
 );
 
+// ── Event ports ──
+//
+// A dashboard can chrome.runtime.connect() to the extension and get JOB_EVENT messages
+// pushed for the jobs its origin started, instead of polling GET_JOB_STATUS:
+//   { type: "JOB_EVENT", event, jobId, job: <GET_JOB_STATUS fields>, detail?, at }
+// The same port takes commands ({ type, jobId, requestId }) and answers each with
+// { type: "RESPONSE", requestId, ok, ... }. Ports close when the worker is suspended;
+// clients reconnect and call GET_JOB_STATUS to catch up.
+//
+// Events: started, phase, step_filled, needs_approval, blocked, completed, failed, stopped.
+
+// { port, origin } per connected client
+const externalPorts = new Set();
+
+chrome.runtime.onConnectExternal.addListener(async (port) => {
+  const client = { port, origin: senderOrigin(port.sender) };
+  let closed = false;
+  port.onDisconnect.addListener(() => {
+    closed = true;
+    externalPorts.delete(client);
+  });
+  // Held until access is checked, so commands sent straight after connect() aren't lost
+  const queued = [];
+  const hold = (msg) => queued.push(msg);
+  port.onMessage.addListener(hold);
+
+  const denied = await checkExternalAccess(client.origin, "GET_JOB_STATUS");
+  if (closed) return;
+  if (denied) {
+    port.postMessage({ type: "ERROR", ...denied });
+    port.disconnect();
+    return;
+  }
+  externalPorts.add(client);
+  port.onMessage.removeListener(hold);
+  port.onMessage.addListener((msg) => answerPortCommand(client, msg));
+  queued.forEach((msg) => answerPortCommand(client, msg));
+});
+
+async function answerPortCommand(client, msg) {
+  let res;
+  try {
+    res = await handlePortCommand(client, msg || {});
+  } catch (e) {
+    console.error("[external] Port command failed:", e);
+    res = { ok: false, error: String(e) };
+  }
+  try {
+    client.port.postMessage({ type: "RESPONSE", requestId: msg?.requestId, ...res });
+  } catch (_) { /* client went away */ }
+}
+
+async function handlePortCommand(client, msg) {
+  const denied = await checkExternalAccess(client.origin, msg.type);
+  if (denied) return denied;
+  const job = msg.jobId ? await getJob(msg.jobId) : null;
+  // Clients only see and steer the jobs their own origin started
+  if (!job || job.externalSource !== client.origin) {
+    return { ok: false, error: msg.jobId ? "Unknown jobId" : "jobId is required" };
+  }
+
+  switch (msg.type) {
+    case "GET_JOB_STATUS":
+      return { ok: true, job: jobStatusPayload(job) };
+
+    case "CANCEL_JOB":
+      await cancelJob(msg.jobId);
+      return { ok: true };
+
+    case "APPROVE_SUBMIT": {
+      await sessionsReady;
+      const tabId = Object.keys(sessions).find((id) => sessions[id].jobId === msg.jobId);
+      if (!tabId || !sessions[tabId].pendingSubmit) {
+        return { ok: false, error: "This job isn't waiting for submit approval." };
+      }
+      return confirmSubmit(Number(tabId));
+    }
+
+    default:
+      return { ok: false, error: "Unknown message type" };
+  }
+}
+
+// Pushes a job event to the clients of the origin that started the job.
+async function emitJobEvent(jobId, event, detail = undefined) {
+  if (externalPorts.size === 0) return;
+  const job = await getJob(jobId);
+  const message = { type: "JOB_EVENT", event, jobId, job: jobStatusPayload(job), detail, at: new Date().toISOString() };
+  for (const { port, origin } of externalPorts) {
+    if (origin !== job.externalSource) continue;
+    try {
+      port.postMessage(message);
+    } catch (_) { /* disconnected; onDisconnect cleans up */ }
+  }
+}
+
 async function handleExternalJobStart(payload, source) {
+  const created = await createJob(payload, source);
+  if (!created.ok) return created;
+  const { jobId } = created;
+
+  runJob(jobId).catch((e) => {
+    console.error("[job] Runner crashed:", e);
+    failJob(jobId, friendlyError("The application could not be started.", e));
+  });
+
+  return {
+    ok: true,
+    jobId,
+    message: `Queued application for ${payload.jobTitle || "job"} at ${payload.company || "company"}`
+  };
+}
+
+// Validates a job payload and stores its record. Queued jobs wait for the queue to start
+// them (see JOB QUEUE); `source` is the external origin that asked, or null.
+async function createJob(payload, source, { queued = false } = {}) {
   const {
     jobUrl,
     jobTitle,
@@ -217,12 +596,22 @@ async function handleExternalJobStart(payload, source) {
   }
 
   try {
-    new URL(jobUrl);
+    if (!/^https?:$/.test(new URL(jobUrl).protocol)) throw new Error();
   } catch {
     return { ok: false, error: "Invalid jobUrl format" };
   }
 
   const jobId = crypto.randomUUID().slice(0, 24);
+  try {
+    if (resumeId && !(await loadDocuments()).some(d => d.id === resumeId)) {
+      return { ok: false, error: "resumeId does not match any document stored in the extension" };
+    }
+    if (coverLetter || Object.keys(customFields || {}).length > 0) {
+      await saveJobInputs(jobId, { coverLetter: coverLetter || null, customFields: customFields || {} });
+    }
+  } catch (e) {
+    return { ok: false, error: friendlyError("The job could not be saved.", e) };
+  }
 
   const prefilledState = {
     goal: {
@@ -250,26 +639,475 @@ async function handleExternalJobStart(payload, source) {
     },
     memory: { successfulPatterns: [], failedPatterns: [], pagesVisited: [] },
     external: {
-      coverLetter: coverLetter || null,
       resumeId: resumeId || null,
-      customFields: customFields || {},
       source: source,
     },
   };
 
   await setJob(jobId, {
-    status: "starting",
+    status: queued ? "queued" : "starting",
     applicationState: prefilledState,
     startUrl: jobUrl,
     externalSource: source,
     mode: mode,
+    ...(queued && { queued: true }),
   });
+  return { ok: true, jobId };
+}
 
-  return {
-    ok: true,
+// ═══════════════════════════════════════════════════════════════════════════════
+// JOB RUNNER — Opens queued jobs in a tab and drives the apply-agent fill loop
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const TAB_LOAD_TIMEOUT_MS = 30000;
+
+async function runJob(jobId) {
+  const job = await getJob(jobId);
+  if (job.stop) {
+    await setJob(jobId, stoppedPatch(job));
+    await emitJobEvent(jobId, "stopped");
+    return;
+  }
+
+  await updateJobProgress(jobId, { status: "running", step: 0 }, { phase: "navigating", estimatedProgress: 5 });
+  await emitJobEvent(jobId, "started", { url: job.startUrl });
+
+  let tab;
+  try {
+    tab = await chrome.tabs.create({ url: job.startUrl, active: job.mode !== "background" });
+  } catch (e) {
+    await failJob(jobId, friendlyError("Could not open the job page.", e));
+    return;
+  }
+  await setJob(jobId, { tabId: tab.id });
+
+  const loaded = await waitForTabLoad(tab.id, TAB_LOAD_TIMEOUT_MS);
+  if (!loaded) {
+    await failJob(jobId, "The job page did not finish loading.");
+    return;
+  }
+
+  const current = await getJob(jobId);
+  if (current.stop) {
+    await setJob(jobId, stoppedPatch(current));
+    await emitJobEvent(jobId, "stopped");
+    return;
+  }
+
+  let chosen;
+  let inputs;
+  try {
+    chosen = await loadProfile(job.startUrl);
+    inputs = await loadJobInputs(jobId);
+  } catch (e) {
+    await failJob(jobId, friendlyError("Could not load your profile.", e));
+    return;
+  }
+  await sessionsReady;
+  sessions[tab.id] = {
+    stepCount: 0,
+    startedAt: Date.now(),
+    controller: new AbortController(),
+    profileId: chosen.profileId,
+    profile: withExternalFields(chosen.profile, inputs),
+    preferredDocumentId: job.applicationState?.external?.resumeId || null,
     jobId,
-    message: `Queued application for ${jobTitle || "job"} at ${company || "company"}`
   };
+  await requestSnapshotAndFill(tab.id);
+}
+
+// Resolves true once the tab reports status "complete", false on timeout or close.
+function waitForTabLoad(tabId, timeoutMs) {
+  return new Promise((resolve) => {
+    let timer = null;
+    const finish = (ok) => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.tabs.onRemoved.removeListener(onRemoved);
+      resolve(ok);
+    };
+    const onUpdated = (id, changeInfo) => {
+      if (id === tabId && changeInfo.status === "complete") finish(true);
+    };
+    const onRemoved = (id) => {
+      if (id === tabId) finish(false);
+    };
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.tabs.onRemoved.addListener(onRemoved);
+    timer = setTimeout(() => finish(false), timeoutMs);
+    chrome.tabs.get(tabId)
+      .then((tab) => { if (tab.status === "complete") finish(true); })
+      .catch(() => finish(false));
+  });
+}
+
+// Cover letter and custom answers from the external caller ride along with the profile.
+function withExternalFields(profile, inputs) {
+  if (!inputs) return profile;
+  return {
+    ...profile,
+    ...(inputs.coverLetter && { coverLetter: inputs.coverLetter }),
+    ...(inputs.customFields || {}),
+  };
+}
+
+// ── Job inputs ──
+//
+// The cover letter and custom answers sent with a job are personal, so they live in
+// the vault-covered "jobInputs" ({ [jobId]: { coverLetter, customFields } }) rather
+// than on the plain job record, and go when the record does.
+
+async function saveJobInputs(jobId, inputs) {
+  const data = await getSecure([JOB_INPUTS_KEY]);
+  await setSecure({ [JOB_INPUTS_KEY]: { ...data[JOB_INPUTS_KEY], [jobId]: inputs } });
+}
+
+async function loadJobInputs(jobId) {
+  const data = await getSecure([JOB_INPUTS_KEY]);
+  return data[JOB_INPUTS_KEY]?.[jobId] || null;
+}
+
+async function forgetJobInputs(jobIds) {
+  const data = await getSecure([JOB_INPUTS_KEY]);
+  const inputs = data[JOB_INPUTS_KEY] || {};
+  if (!jobIds.some((id) => id in inputs)) return;
+  jobIds.forEach((id) => delete inputs[id]);
+  await setSecure({ [JOB_INPUTS_KEY]: inputs });
+}
+
+// Records saved before jobInputs existed carry their inputs in applicationState.external.
+// Moved on worker start; left for a later start while the vault is locked.
+async function migrateJobInputs() {
+  const data = await chrome.storage.local.get(null);
+  for (const [key, job] of Object.entries(data)) {
+    const external = key.startsWith("job:") ? job?.applicationState?.external : null;
+    if (!external || !("coverLetter" in external || "customFields" in external)) continue;
+    const { coverLetter, customFields, ...rest } = external;
+    if (coverLetter || Object.keys(customFields || {}).length > 0) {
+      await saveJobInputs(key.slice(4), { coverLetter: coverLetter || null, customFields: customFields || {} });
+    }
+    await chrome.storage.local.set({ [key]: { ...job, applicationState: { ...job.applicationState, external: rest } } });
+  }
+}
+
+migrateJobInputs().catch((e) => console.warn("[job] Inputs not migrated yet:", e.message));
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "local") return;
+  const removed = Object.entries(changes)
+    .filter(([key, { newValue, oldValue }]) => key.startsWith("job:") && oldValue && newValue === undefined)
+    .map(([key]) => key.slice(4));
+  if (removed.length > 0) {
+    forgetJobInputs(removed).catch((e) => console.warn("[job] Could not remove job inputs:", e.message));
+  }
+});
+
+async function updateJobProgress(jobId, patch, progress) {
+  const job = await getJob(jobId);
+  const state = job.applicationState || {};
+  await setJob(jobId, {
+    ...patch,
+    applicationState: {
+      ...state,
+      progress: { ...(state.progress || {}), ...progress },
+    },
+  });
+  if (progress.phase && progress.phase !== state.progress?.phase) {
+    await emitJobEvent(jobId, "phase", { phase: progress.phase, previous: state.progress?.phase ?? null });
+  }
+}
+
+// A job that hasn't started yet stops at once; a running one stops at its next check.
+async function cancelJob(jobId) {
+  const job = await getJob(jobId);
+  if (job.status === "queued") {
+    await setJob(jobId, { stop: true, status: "stopped", finishedAt: new Date().toISOString() });
+    await emitJobEvent(jobId, "stopped");
+  } else {
+    await setJob(jobId, { stop: true, status: "stopping" });
+  }
+}
+
+// Jobs skipped from the queue end as "skipped" rather than "stopped"
+function stoppedPatch(job) {
+  return { status: job.skipped ? "skipped" : "stopped", finishedAt: new Date().toISOString() };
+}
+
+async function failJob(jobId, error) {
+  await updateJobProgress(jobId, { status: "error", error, finishedAt: new Date().toISOString() }, { phase: "failed" });
+  await emitJobEvent(jobId, "failed", { error });
+}
+
+// Mirrors apply-agent status transitions onto the job record, if the session belongs to one.
+async function syncJobStatus(session, status, message) {
+  if (!session?.jobId) return;
+  const jobId = session.jobId;
+  const step = session.stepCount;
+
+  switch (status) {
+    case "analyzing":
+      await updateJobProgress(jobId, { status: "running", step }, {
+        phase: "analyzing",
+        estimatedProgress: Math.min(90, 10 + step * 15),
+      });
+      break;
+    case "filling":
+      await updateJobProgress(jobId, { status: "running", step }, {
+        phase: "filling",
+        estimatedProgress: Math.min(95, 15 + step * 15),
+      });
+      break;
+    case "done":
+      await updateJobProgress(jobId, {
+        status: "done",
+        step,
+        finishedAt: new Date().toISOString(),
+        ...(session.submitted && { submittedAt: new Date().toISOString() }),
+      }, {
+        phase: "done",
+        estimatedProgress: 100,
+      });
+      await emitJobEvent(jobId, "completed", { submitted: !!session.submitted, message });
+      break;
+    case "review":
+    case "awaiting_submit":
+      await updateJobProgress(jobId, { status: "waiting_for_user", step }, { phase: status });
+      await emitJobEvent(jobId, "needs_approval", status === "review"
+        ? { kind: "review", fields: session.pendingReview?.length ?? 0 }
+        : { kind: "submit", label: session.pendingSubmit?.label || "Submit", url: session.pendingSubmit?.url });
+      break;
+    case "submitting":
+      await updateJobProgress(jobId, { status: "running", step }, { phase: "submitting", estimatedProgress: 98 });
+      break;
+    case "error":
+      await failJob(jobId, message || "Something went wrong filling this form.");
+      break;
+    case "idle": {
+      const job = await getJob(jobId);
+      if (job.stop) {
+        await updateJobProgress(jobId, stoppedPatch(job), { phase: "stopped" });
+        await emitJobEvent(jobId, "stopped", { message });
+      } else {
+        await failJob(jobId, message || "The page navigated away before the application finished.");
+      }
+      break;
+    }
+  }
+}
+
+// React to CANCEL_JOB while a job's fill session is running.
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== "local") return;
+  await sessionsReady;
+  for (const [key, change] of Object.entries(changes)) {
+    if (!key.startsWith("job:") || !change.newValue?.stop || change.oldValue?.stop) continue;
+    const jobId = key.slice(4);
+    const tabId = Object.keys(sessions).find((id) => sessions[id].jobId === jobId);
+    if (tabId) endSession(Number(tabId), "idle", "Cancelled.");
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// JOB QUEUE — Batches of jobs run N at a time, within a daily cap
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Queued jobs are ordinary job records (status "queued", `queued: true`); the queue
+// itself keeps their order and its settings in chrome.storage.local, so it survives
+// browser restarts:
+//   jobQueue: { jobIds, paused, concurrency, dailyCap, startAt, started: { day, count } }
+// pumpQueue() starts jobs while there are free slots and runs again whenever a queued
+// job finishes, the queue changes, or QUEUE_ALARM fires (scheduled start, cap reset,
+// server rate limit lifting). A job waiting on the user still holds its slot.
+// `started.day` is the UTC date, matching the server's daily limit.
+
+const JOB_QUEUE_KEY = "jobQueue";
+const QUEUE_ALARM = "job-queue";
+const DEFAULT_QUEUE = { jobIds: [], paused: false, concurrency: 1, dailyCap: 5, startAt: null, started: { day: "", count: 0 } };
+const MAX_QUEUE_CONCURRENCY = 3;
+const MAX_DAILY_CAP = 50;
+
+const ACTIVE_JOB_STATUSES = ["starting", "running", "waiting_for_user", "stopping"];
+const FINISHED_JOB_STATUSES = ["done", "error", "stopped", "skipped"];
+
+// Queue reads and writes run one at a time, so the worker and panel commands can't interleave
+let queueChain = Promise.resolve();
+
+function withQueue(fn) {
+  const run = queueChain.catch(() => {}).then(async () => {
+    const data = await chrome.storage.local.get([JOB_QUEUE_KEY]);
+    const queue = { ...DEFAULT_QUEUE, ...data[JOB_QUEUE_KEY] };
+    const result = await fn(queue);
+    await chrome.storage.local.set({ [JOB_QUEUE_KEY]: queue });
+    return result;
+  });
+  queueChain = run;
+  return run;
+}
+
+// Adds jobs to the end of the queue. Returns { ok, jobIds, errors: [{ index, error }] }.
+async function enqueueJobs(payloads, source) {
+  const jobIds = [];
+  const errors = [];
+  for (const [index, payload] of (payloads || []).entries()) {
+    const created = await createJob(payload, source, { queued: true });
+    if (created.ok) jobIds.push(created.jobId);
+    else errors.push({ index, error: created.error });
+  }
+  if (jobIds.length > 0) {
+    await withQueue((queue) => { queue.jobIds.push(...jobIds); });
+    pumpQueue();
+  }
+  return { ok: jobIds.length > 0, jobIds, errors };
+}
+
+function pumpQueue() {
+  return withQueue(startQueuedJobs).catch((e) => console.error("[queue] Pump failed:", e));
+}
+
+async function startQueuedJobs(queue) {
+  if (queue.paused || queue.jobIds.length === 0) return;
+
+  // Not yet: the scheduled start, or the server's own limit, is still ahead
+  const { rateLimitedUntil = 0 } = await chrome.storage.local.get(["rateLimitedUntil"]);
+  const wakeAt = Math.max(queue.startAt || 0, rateLimitedUntil);
+  if (wakeAt > Date.now()) {
+    await chrome.alarms.create(QUEUE_ALARM, { when: wakeAt });
+    return;
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  if (queue.started.day !== today) queue.started = { day: today, count: 0 };
+
+  const jobs = await chrome.storage.local.get(queue.jobIds.map((id) => `job:${id}`));
+  let running = queue.jobIds.filter((id) => ACTIVE_JOB_STATUSES.includes(jobs[`job:${id}`]?.status)).length;
+  for (const jobId of queue.jobIds) {
+    if (running >= queue.concurrency) break;
+    if (jobs[`job:${jobId}`]?.status !== "queued") continue;
+    if (queue.started.count >= queue.dailyCap) {
+      await chrome.alarms.create(QUEUE_ALARM, { when: nextUtcMidnight() });
+      break;
+    }
+    queue.started.count++;
+    running++;
+    await setJob(jobId, { status: "starting" });
+    runJob(jobId).catch((e) => {
+      console.error("[job] Runner crashed:", e);
+      failJob(jobId, friendlyError("The application could not be started.", e));
+    });
+  }
+}
+
+function nextUtcMidnight() {
+  const midnight = new Date();
+  midnight.setUTCDate(midnight.getUTCDate() + 1);
+  midnight.setUTCHours(0, 0, 0, 0);
+  return midnight.getTime();
+}
+
+// Queued jobs that were mid-run when the worker or browser stopped have lost their fill
+// session; they go back to the queue (closing the tab they had) and start again.
+async function recoverQueue(queue) {
+  const live = new Set(Object.values(sessions).map((s) => s.jobId).filter(Boolean));
+  for (const jobId of queue.jobIds) {
+    const job = await getJob(jobId);
+    if (!ACTIVE_JOB_STATUSES.includes(job.status) || live.has(jobId)) continue;
+    if (job.tabId) await chrome.tabs.remove(job.tabId).catch(() => {});
+    await setJob(jobId, job.stop ? { ...stoppedPatch(job), tabId: null } : { status: "queued", tabId: null });
+  }
+}
+
+// Panel commands. Each returns { ok } or { ok: false, error }.
+async function updateQueue(command, { jobId, settings } = {}) {
+  switch (command) {
+    case "pause":
+    case "resume":
+      await withQueue((queue) => { queue.paused = command === "pause"; });
+      break;
+
+    case "settings":
+      await withQueue((queue) => {
+        if (settings.concurrency !== undefined) {
+          queue.concurrency = clampNumber(settings.concurrency, 1, MAX_QUEUE_CONCURRENCY);
+        }
+        if (settings.dailyCap !== undefined) queue.dailyCap = clampNumber(settings.dailyCap, 1, MAX_DAILY_CAP);
+        if (settings.startAt !== undefined) queue.startAt = settings.startAt || null;
+      });
+      break;
+
+    case "skip": {
+      const job = await getJob(jobId);
+      if (job.status === "queued") {
+        await setJob(jobId, { status: "skipped", finishedAt: new Date().toISOString() });
+      } else if (ACTIVE_JOB_STATUSES.includes(job.status)) {
+        await setJob(jobId, { skipped: true });
+        await cancelJob(jobId);
+      } else {
+        return { ok: false, error: "That job has already finished." };
+      }
+      break;
+    }
+
+    case "retry": {
+      const job = await getJob(jobId);
+      if (!FINISHED_JOB_STATUSES.includes(job.status)) return { ok: false, error: "That job is still running." };
+      await setJob(jobId, {
+        status: "queued",
+        queued: true,
+        stop: false,
+        skipped: false,
+        error: null,
+        step: 0,
+        tabId: null,
+        finishedAt: null,
+        attempts: (job.attempts || 0) + 1,
+      });
+      await withQueue((queue) => {
+        if (!queue.jobIds.includes(jobId)) queue.jobIds.push(jobId);
+      });
+      break;
+    }
+
+    case "remove":
+      if (ACTIVE_JOB_STATUSES.includes((await getJob(jobId)).status)) {
+        return { ok: false, error: "Skip the job before removing it." };
+      }
+      await withQueue((queue) => { queue.jobIds = queue.jobIds.filter((id) => id !== jobId); });
+      break;
+
+    case "clear_finished": {
+      const { jobIds } = await withQueue((queue) => ({ jobIds: [...queue.jobIds] }));
+      const jobs = await chrome.storage.local.get(jobIds.map((id) => `job:${id}`));
+      const finished = new Set(jobIds.filter((id) => FINISHED_JOB_STATUSES.includes(jobs[`job:${id}`]?.status)));
+      await withQueue((queue) => { queue.jobIds = queue.jobIds.filter((id) => !finished.has(id)); });
+      break;
+    }
+
+    default:
+      return { ok: false, error: "Unknown queue command." };
+  }
+  pumpQueue();
+  return { ok: true };
+}
+
+function clampNumber(value, min, max) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : min;
+}
+
+// A queued job finishing frees its slot
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "local") return;
+  const freed = Object.entries(changes).some(([key, { newValue, oldValue }]) =>
+    key.startsWith("job:") && newValue?.queued
+    && FINISHED_JOB_STATUSES.includes(newValue.status) && !FINISHED_JOB_STATUSES.includes(oldValue?.status));
+  if (freed) pumpQueue();
+});
+
+// Runs each time the worker starts, once fill sessions are restored
+function resumeQueue() {
+  return withQueue(recoverQueue)
+    .then(() => pumpQueue())
+    .catch((e) => console.error("[queue] Recovery failed:", e));
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -278,26 +1116,52 @@ async function handleExternalJobStart(payload, source) {
 
 const MAX_STEPS = 20;
 
-// Per-tab fill sessions: tabId -> { stepCount, profile }
+// Per-tab fill sessions:
+//   tabId -> { stepCount, startedAt, profile, profileId, controller, jobId?, status, snapshot?, cachePlan?, results?,
+//              notice?, sectionsExpanded?, awaitingStep?, advancedAt?, advancedFrom?, navigation?, history?,
+//              pendingReview?, pendingSubmit?, submitted?,
+//              ended? (set by endSession on the dropped object) }
+// Mirrored to chrome.storage.session (see Session persistence) so they outlive the worker.
 const sessions = {};
 
-// Cancel any in-progress fill when the tab navigates to a new page
-chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
-  if (changeInfo.status === "loading" && sessions[tabId]) {
-    delete sessions[tabId];
-    notifyPanel(tabId, "idle");
+// A page load that follows our own Next click continues the fill on the new page (see
+// Step navigation); any other navigation cancels it.
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (changeInfo.status !== "loading" && changeInfo.status !== "complete") return;
+  await sessionsReady;
+  const session = sessions[tabId];
+  if (!session) return;
+
+  if (changeInfo.status === "complete") {
+    if (session.navigation) await continueAfterNavigation(tabId, session);
+    return;
+  }
+  if (session.submitted) {
+    endSession(tabId, "done", "Application submitted.");
+  } else if (isStepNavigation(session, changeInfo.url || tab.url)) {
+    session.navigation = { ...session.navigation, url: changeInfo.url || tab.url };
+    setStatus(tabId, "analyzing", "Loading the next page…");
+  } else {
+    endSession(tabId, "idle");
   }
 });
 
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await sessionsReady;
+  if (sessions[tabId]) endSession(tabId, "idle", "The tab was closed.");
+});
+
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   (async () => {
     try {
+      await sessionsReady;
       switch (msg.type) {
 
         case "start_fill": {
           const tabId = msg.tabId;
-          const profile = await loadProfile();
-          sessions[tabId] = { stepCount: 0, profile };
+          const tab = await chrome.tabs.get(tabId).catch(() => null);
+          const { profileId, profile } = await loadProfile(tab?.url);
+          sessions[tabId] = { stepCount: 0, startedAt: Date.now(), profile, profileId, controller: new AbortController() };
           sendResponse({ ok: true });
           await requestSnapshotAndFill(tabId);
           break;
@@ -305,23 +1169,123 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
         case "step_ready": {
           const tabId   = sender.tab.id;
+          if (!sessions[tabId]) return;
+          await nextStep(tabId);
+          break;
+        }
+
+        case "step_navigating": {
+          const session = sessions[sender.tab.id];
+          if (session?.awaitingStep) {
+            session.navigation = { ...session.navigation, from: sender.tab.url, at: Date.now() };
+            persistSession(sender.tab.id);
+          }
+          break;
+        }
+
+        case "step_stuck": {
+          const tabId = sender.tab.id;
           const session = sessions[tabId];
-          if (!session) return;
-          session.stepCount++;
-          if (session.stepCount >= MAX_STEPS) {
-            notifyPanel(tabId, "done");
-            delete sessions[tabId];
-            return;
+          if (!session) break;
+          const fields = (msg.fields || []).map((f) => ({ ...f, frameId: sender.frameId ?? 0 }));
+          stopStuck(tabId, session, fields, msg.pageError);
+          break;
+        }
+
+        case "queue_add": {
+          const jobs = (msg.jobs || []).map((job) => ({ ...job, mode: msg.mode || "background" }));
+          sendResponse(await enqueueJobs(jobs, null));
+          break;
+        }
+
+        case "queue_update": {
+          sendResponse(await updateQueue(msg.command, msg));
+          break;
+        }
+
+        case "get_fill_state": {
+          const session = sessions[msg.tabId];
+          sendResponse({
+            status: session?.status || "idle",
+            review: session?.pendingReview || null,
+            pendingSubmit: session?.pendingSubmit || null,
+            results: session?.results || null,
+            notice: session?.notice || "",
+          });
+          break;
+        }
+
+        case "focus_field": {
+          try {
+            sendResponse(await sendToTab(msg.tabId, { type: "focus_field", selector: msg.selector }, msg.frameId ?? 0));
+          } catch {
+            sendResponse({ ok: false, error: "That field is no longer on the page." });
+          }
+          break;
+        }
+
+        case "submit_pending": {
+          const tabId = sender.tab.id;
+          const session = sessions[tabId];
+          if (!session) break;
+          session.pendingSubmit = {
+            label: msg.label || "Submit",
+            url: sender.tab.url,
+            frameId: sender.frameId ?? 0,
+            at: Date.now(),
+          };
+          setStatus(tabId, "awaiting_submit", "", { pendingSubmit: session.pendingSubmit });
+          break;
+        }
+
+        case "confirm_submit": {
+          sendResponse(await confirmSubmit(msg.tabId));
+          break;
+        }
+
+        case "cancel_fill": {
+          if (sessions[msg.tabId]) endSession(msg.tabId, "idle", "Cancelled.");
+          sendResponse({ ok: true });
+          break;
+        }
+
+        case "cancel_submit": {
+          const session = sessions[msg.tabId];
+          if (session?.pendingSubmit) {
+            await sendToTab(msg.tabId, { type: "cancel_submit" }, session.pendingSubmit.frameId).catch(() => {});
+            endSession(msg.tabId, "idle", "Submission cancelled. Your answers are still on the page.");
+          }
+          sendResponse({ ok: true });
+          break;
+        }
+
+        case "apply_review": {
+          const session = sessions[msg.tabId];
+          if (!session?.pendingReview) {
+            sendResponse({ ok: false, error: "Nothing is waiting for review on this tab." });
+            break;
           }
-          await processSnapshot(tabId, msg.html, session);
+          session.pendingReview = null;
+          sendResponse({ ok: true });
+          await fillMapping(msg.tabId, msg.mapping || []);
+          break;
+        }
+
+        case "cancel_review": {
+          if (sessions[msg.tabId]) endSession(msg.tabId, "idle", "Fill cancelled. Nothing was typed.");
+          sendResponse({ ok: true });
+          break;
+        }
+
+        case "undo_fill": {
+          sendResponse(await undoFill(msg.tabId));
           break;
         }
 
         case "fill_complete": {
           const tabId = sender.tab.id;
           if (!sessions[tabId]) break; // stale — tab navigated away, ignore
-          notifyPanel(tabId, "done");
-          delete sessions[tabId];
+          endSession(tabId, "done", sessions[tabId].submitted ? "Application submitted." : "");
           break;
         }
 
@@ -347,6 +1311,23 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           return true;
         }
 
+        case "COPILOT_ASK": {
+          const question = (msg.question || "").trim();
+          if (!msg.tabId || !question) {
+            sendResponse({ ok: false, error: "Type a question first." });
+            return;
+          }
+          await copilotAsk(msg.tabId, question);
+          sendResponse({ ok: true });
+          break;
+        }
+
+        case "COPILOT_CHAT_RESET": {
+          await chrome.storage.session.remove(`${COPILOT_CHAT_PREFIX}${msg.tabId}`);
+          sendResponse({ ok: true });
+          break;
+        }
+
         default:
           break;
       }
@@ -360,73 +1341,851 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
 // ── Core flow ─────────────────────────────────────────────────────────────────
 
+// The form has moved on to its next step (new fields in place, or a new page loaded).
+async function nextStep(tabId) {
+  const session = sessions[tabId];
+  session.stepCount++;
+  session.sectionsExpanded = false;
+  session.awaitingStep = false;
+  session.navigation = null;
+  if (session.stepCount >= MAX_STEPS) {
+    endSession(tabId, "done");
+    return;
+  }
+  await requestSnapshotAndFill(tabId);
+}
+
 async function requestSnapshotAndFill(tabId) {
-  notifyPanel(tabId, "analyzing");
+  setStatus(tabId, "analyzing");
 
   try {
     await ensureContentScript(tabId);
   } catch (e) {
-    notifyPanel(tabId, "error", "Cannot access this page. Click the Vaulty icon or press ⌘⇧V first.");
-    delete sessions[tabId];
+    endSession(tabId, "error", "Cannot access this page. Click the Vaulty icon or press ⌘⇧V first.");
     return;
   }
 
-  let response = null;
+  let snapshot = null;
   for (let i = 0; i < 5; i++) {
-    try {
-      response = await chrome.tabs.sendMessage(tabId, { type: "get_snapshot" });
-      if (response?.html) break;
-    } catch (_) { /* content script not yet ready */ }
-    await sleep(200);
+    snapshot = await collectSnapshot(tabId);
+    if (snapshot) break;
+    await sleep(200); // content script not yet ready
   }
 
-  if (!response?.html) {
-    notifyPanel(tabId, "error", "Could not read page. Try refreshing.");
-    delete sessions[tabId];
+  if (!snapshot) {
+    endSession(tabId, "error", "Could not read page. Try refreshing.");
     return;
   }
 
-  await processSnapshot(tabId, response.html, sessions[tabId]);
+  const session = sessions[tabId];
+  if (session) await processSnapshot(tabId, snapshot, session);
 }
 
-async function processSnapshot(tabId, html, session) {
-  notifyPanel(tabId, "analyzing");
+// Field inventory of the top document and every iframe, each field tagged with its
+// frameId and a tab-wide index. Returns null until the top frame answers.
+async function collectSnapshot(tabId) {
+  let page = null;
+  const fields = [];
+  const addButtons = [];
+  for (const frameId of await getFrameIds(tabId)) {
+    try {
+      const res = await sendToTab(tabId, { type: "get_snapshot" }, frameId);
+      if (!res?.fields) continue;
+      if (frameId === 0) page = { url: res.url, title: res.title };
+      for (const field of res.fields) fields.push({ ...field, frameId, index: fields.length });
+      for (const button of res.addButtons || []) addButtons.push({ ...button, frameId, index: addButtons.length });
+    } catch (_) { /* no content script in this frame */ }
+  }
+  return page ? { page, fields, addButtons } : null;
+}
 
-  let mapping;
-  try {
-    mapping = await callServer(html, session.profile);
-  } catch (err) {
-    notifyPanel(tabId, "error", friendlyError("Something went wrong filling this form. Please try again.", err));
+async function processSnapshot(tabId, snapshot, session) {
+  setStatus(tabId, "analyzing");
+
+  if (snapshot.fields.length === 0) {
+    endSession(tabId, "done");
+    return;
+  }
+
+  // The Next click brought back the very same fields: the page is refusing this step
+  const advancedFrom = session.advancedFrom;
+  session.advancedFrom = null;
+  if (advancedFrom && formFingerprint(snapshot.fields) === advancedFrom) {
+    const { fields, pageError } = await collectBlockingFields(tabId);
+    if (sessions[tabId] === session) stopStuck(tabId, session, fields, pageError);
     return;
   }
+  session.snapshot = snapshot;
+
+  // Fields answered on an earlier visit are filled from the cache; only the rest go to the server
+  const plan = await planFromCache(snapshot, session);
+  session.cachePlan = plan;
+  session.notice = "";
+
+  // "hybrid" lets the local matcher take standard contact/address fields before the AI sees the rest
+  const { fillEngine = "hybrid" } = await chrome.storage.local.get(["fillEngine"]);
+  const local = localMapping(plan.remaining, session.profile);
+  let mapping = plan.mapping;
+  let remaining = plan.remaining;
+  if (fillEngine !== "ai") {
+    mapping = [...mapping, ...local.mapping];
+    remaining = local.remaining;
+  }
+  plan.remaining = [];
+
+  if (fillEngine !== "local" && remaining.length > 0) {
+    try {
+      // "Add another position" buttons are offered once per page; after expanding, the new sections get filled
+      const fromServer = await callServer(
+        { page: snapshot.page, fields: remaining, addButtons: session.sectionsExpanded ? [] : snapshot.addButtons },
+        session
+      );
+      if (fromServer.expand.length > 0 && !session.sectionsExpanded) {
+        session.sectionsExpanded = true;
+        await expandSections(tabId, fromServer.expand);
+        if (sessions[tabId] === session) await requestSnapshotAndFill(tabId);
+        return;
+      }
+      mapping = [...mapping, ...fromServer.mapping];
+      plan.remaining = remaining;
+    } catch (err) {
+      if (sessions[tabId] !== session) return; // cancelled while waiting on the server
+      const reason = friendlyError("Something went wrong filling this form. Please try again.", err);
+      // AI unavailable (offline, rate-limited, no subscription): fill what the local matcher can
+      if (fillEngine === "ai") mapping = [...mapping, ...local.mapping];
+      if (mapping.length === 0) {
+        endSession(tabId, "error", reason);
+        return;
+      }
+      session.notice = `${reason} Filled the fields that could be matched without AI.`;
+    }
+  }
+
+  if (sessions[tabId] !== session) return; // cancelled while waiting on the server
 
   if (!mapping || mapping.length === 0) {
-    notifyPanel(tabId, "done");
-    delete sessions[tabId];
+    endSession(tabId, "done");
+    return;
+  }
+
+  const { reviewBeforeFill } = await chrome.storage.local.get(["reviewBeforeFill"]);
+  if (reviewBeforeFill) {
+    await requestReview(tabId, mapping, session);
     return;
   }
 
-  notifyPanel(tabId, "filling");
-  await chrome.tabs.sendMessage(tabId, { type: "fill_fields", mapping });
+  await fillMapping(tabId, mapping);
 }
 
-// ── Auth helpers ──────────────────────────────────────────────────────────────
+// Fills the mapping, gives the server one chance to correct fields the page didn't
+// accept, reports the per-field results, then moves the form on to its next step.
+// The frame with the most fields is taken to own the form and is the one asked to advance.
+async function fillMapping(tabId, mapping) {
+  const session = sessions[tabId];
+  setStatus(tabId, "filling");
+  const ownerFrame = [...groupByFrame(mapping).entries()]
+    .sort((a, b) => b[1].length - a[1].length)[0]?.[0] ?? 0;
+
+  let results;
+  try {
+    results = await fillFrames(tabId, mapping, ownerFrame);
+    const failed = results.filter(r => r.status !== "filled");
+    if (failed.length > 0 && session?.snapshot) {
+      results = mergeResults(results, await retryFailedFields(tabId, session, failed));
+    }
+  } catch (e) {
+    console.warn("[apply-agent] Fill failed:", e);
+    endSession(tabId, "error", "Lost contact with the page while filling. Try refreshing.");
+    return;
+  }
+
+  if (sessions[tabId] !== session) return; // cancelled while filling
+  session.results = results;
+  const { historyValues } = await chrome.storage.local.get(["historyValues"]);
+  session.history = [...(session.history || []), stepHistory(session, mapping, results, !!historyValues)];
+  if (session.jobId) {
+    emitJobEvent(session.jobId, "step_filled", stepEventDetail(session.history[session.history.length - 1]))
+      .catch((e) => console.warn("[external] Event failed:", e));
+  }
+  await rememberMapping(session, mapping, results).catch((e) => console.warn("[apply-agent] Mapping cache update failed:", e));
+  setStatus(tabId, "filling", fillSummary(results), { results, notice: session.notice });
+
+  // Marked before asking, since the Next click may start a page load straight away
+  session.awaitingStep = true;
+  session.advancedAt = Date.now();
+  session.advancedFrom = session.snapshot ? formFingerprint(session.snapshot.fields) : null;
+  session.navigation = null;
+  persistSession(tabId);
+  try {
+    await sendToTab(tabId, { type: "advance_step" }, ownerFrame);
+  } catch (e) {
+    if (sessions[tabId] !== session || session.navigation) return; // the page is already navigating
+    endSession(tabId, "error", "Lost contact with the page while filling. Try refreshing.");
+  }
+}
+
+// Per-step detail for external clients: labels, profile keys and statuses, never values
+function stepEventDetail({ step, url, fields }) {
+  return {
+    step,
+    url,
+    filled: fields.filter((f) => f.status === "filled").length,
+    needsAttention: fields.filter((f) => f.status !== "filled").length,
+    fields: fields.map(({ label, profileKey, type, status, error }) => ({ label, profileKey, type, status, error })),
+  };
+}
+
+// What was filled on one step: [{ selector, frameId, label, type, profileKey?, status, error?, value? }].
+// Values are only kept when the user has turned on "Record entered values" in the History tab.
+function stepHistory(session, mapping, results, withValues = false) {
+  const resultOf = new Map(results.map(r => [`${r.frameId}|${r.selector}`, r]));
+  const fieldOf = new Map((session.snapshot?.fields || []).map(f => [`${f.frameId}|${f.locator}`, f]));
+  return {
+    step: session.stepCount,
+    url: session.snapshot?.page?.url || "",
+    at: new Date().toISOString(),
+    fields: mapping.map(({ selector, frameId = 0, type, profileKey, value }) => {
+      const result = resultOf.get(`${frameId}|${selector}`);
+      const entry = {
+        selector,
+        frameId,
+        label: result?.label || fieldOf.get(`${frameId}|${selector}`)?.label || "",
+        type,
+        profileKey,
+        status: result?.status || "skipped",
+      };
+      if (result?.error) entry.error = result.error;
+      if (withValues) entry.value = value;
+      return entry;
+    }),
+  };
+}
+
+// Sends each frame its share of the mapping, owner frame last; returns the per-field
+// results tagged with their frameId. Only losing the owner frame is fatal.
+async function fillFrames(tabId, mapping, ownerFrame, correction = false) {
+  const byFrame = groupByFrame(await attachDocuments(mapping));
+  const ordered = [...byFrame.entries()].sort((a, b) =>
+    (a[0] === ownerFrame) - (b[0] === ownerFrame) || a[1].length - b[1].length);
+
+  const results = [];
+  for (const [frameId, items] of ordered) {
+    try {
+      const res = await sendToTab(tabId, { type: "fill_fields", mapping: items, correction }, frameId);
+      for (const result of res?.results || []) results.push({ ...result, frameId });
+    } catch (e) {
+      if (frameId === ownerFrame) throw e;
+      console.warn(`[apply-agent] Fill failed in frame ${frameId}:`, e);
+    }
+  }
+  return results;
+}
+
+// One corrective round trip for fields that were filled but not accepted. Fields that
+// aren't on the page any more are left alone — a new value won't bring them back.
+async function retryFailedFields(tabId, session, failed) {
+  const fields = [];
+  const failures = [];
+  for (const result of failed) {
+    if (result.status === "not_found") continue;
+    const field = session.snapshot.fields.find(f => f.frameId === result.frameId && f.locator === result.selector);
+    if (!field) continue;
+    fields.push(field);
+    failures.push({ index: field.index, value: result.value, status: result.status, error: result.error });
+  }
+  if (fields.length === 0) return [];
+
+  let mapping;
+  try {
+    ({ mapping } = await callServer({ page: session.snapshot.page, fields }, session, failures));
+  } catch (e) {
+    if (!isCancelled(e)) console.warn("[apply-agent] Retry failed:", e);
+    return [];
+  }
+  if (sessions[tabId] !== session || mapping.length === 0) return [];
+  return fillFrames(tabId, mapping, -1, true);
+}
+
+// Click "Add another …" buttons the server asked for, so every profile entry gets a section.
+async function expandSections(tabId, expand) {
+  for (const [frameId, items] of groupByFrame(expand)) {
+    try {
+      await sendToTab(tabId, { type: "expand_sections", buttons: items.map(({ selector, times }) => ({ selector, times })) }, frameId);
+    } catch (e) {
+      console.warn(`[apply-agent] Could not expand sections in frame ${frameId}:`, e);
+    }
+  }
+}
+
+function mergeResults(results, retried) {
+  const key = (r) => `${r.frameId}|${r.selector}`;
+  const byKey = new Map(retried.map(r => [key(r), r]));
+  return results.map(r => byKey.get(key(r)) || r);
+}
+
+function fillSummary(results) {
+  const filled = results.filter(r => r.status === "filled").length;
+  const attention = results.length - filled;
+  if (attention === 0) return `${filled} filled.`;
+  return `${filled} filled, ${attention} ${attention === 1 ? "needs" : "need"} your attention.`;
+}
+
+function groupByFrame(mapping) {
+  const byFrame = new Map();
+  for (const item of mapping) {
+    const frameId = item.frameId ?? 0;
+    if (!byFrame.has(frameId)) byFrame.set(frameId, []);
+    byFrame.get(frameId).push(item);
+  }
+  return byFrame;
+}
 
-async function getAuthToken() {
-  const { authToken } = await chrome.storage.local.get(["authToken"]);
-  return authToken || null;
+// Hold the mapping on the session until the user approves it in the side panel.
+async function requestReview(tabId, mapping, session) {
+  const described = new Map();
+  for (const [frameId, items] of groupByFrame(mapping)) {
+    try {
+      const res = await sendToTab(tabId, { type: "describe_fields", selectors: items.map(m => m.selector) }, frameId);
+      items.forEach((item, i) => described.set(item, res?.fields?.[i]));
+    } catch (e) {
+      console.warn("[apply-agent] describe_fields failed:", e);
+    }
+  }
+  session.pendingReview = mapping.map((item) => {
+    const info = described.get(item);
+    return {
+      ...item,
+      label: info?.label || item.selector,
+      options: info?.options,
+      found: info?.found ?? true,
+    };
+  });
+  setStatus(tabId, "review", "", { review: session.pendingReview });
+}
+
+// ── Stuck steps ───────────────────────────────────────────────────────────────
+//
+// A step is stuck when clicking Next (or Submit) leaves the same fields on screen with
+// errors showing, or brings back an identical step. Rather than clicking again until
+// MAX_STEPS, the fill stops and lists the fields the page is waiting on.
+
+// { fields: [{ selector, frameId, label, error }], pageError } across every frame
+async function collectBlockingFields(tabId) {
+  const fields = [];
+  let pageError = "";
+  for (const frameId of await getFrameIds(tabId)) {
+    try {
+      const res = await sendToTab(tabId, { type: "get_blocking_fields" }, frameId);
+      for (const field of res?.fields || []) fields.push({ ...field, frameId });
+      pageError = pageError || res?.pageError || "";
+    } catch (_) { /* no content script in this frame */ }
+  }
+  return { fields, pageError };
+}
+
+// Ends the fill with the blocking fields flagged in the results, so the panel can jump to them.
+function stopStuck(tabId, session, blocking, pageError = "") {
+  const flagged = new Map(blocking.map((f) => [`${f.frameId}|${f.selector}`, f]));
+  const results = (session.results || []).map((r) => {
+    const block = flagged.get(`${r.frameId ?? 0}|${r.selector}`);
+    if (!block) return r;
+    flagged.delete(`${r.frameId ?? 0}|${r.selector}`);
+    return { ...r, status: "rejected", error: block.error };
+  });
+  for (const block of flagged.values()) results.push({ ...block, status: "blocking" });
+  if (session.jobId) {
+    emitJobEvent(session.jobId, "blocked", {
+      step: session.stepCount,
+      fields: blocking.map(({ label, error }) => ({ label, error })),
+      pageError,
+    }).catch((e) => console.warn("[external] Event failed:", e));
+  }
+  endSession(tabId, "error", stuckMessage(session, blocking, pageError), { results });
+}
+
+function stuckMessage(session, blocking, pageError) {
+  const what = session.submitted ? "The application wasn't submitted" : "Stuck on this step";
+  const labels = [...new Set(blocking.map((f) => f.label))];
+  if (labels.length > 0) return `${what}: the page is waiting on ${labels.join(", ")}. Fix these, then click Fill again.`;
+  if (pageError) return `${what}: the page says "${pageError}"`;
+  return `${what}: the form didn't move on. Check the page for errors, then click Fill again.`;
+}
+
+// Click the held submit button once the user has confirmed it.
+async function confirmSubmit(tabId) {
+  const session = sessions[tabId];
+  if (!session?.pendingSubmit) {
+    return { ok: false, error: "Nothing is waiting to be submitted on this tab." };
+  }
+  const { frameId } = session.pendingSubmit;
+  session.pendingSubmit = null;
+  session.submitted = true;
+  // Read before the click, which may navigate the tab away from the form
+  const page = session.jobId ? null : await submittedPage(tabId, session);
+  setStatus(tabId, "submitting");
+  try {
+    const res = await sendToTab(tabId, { type: "confirm_submit" }, frameId);
+    if (!res?.ok) {
+      endSession(tabId, "error", res?.error || "Could not click the submit button.");
+      return { ok: false, error: res?.error };
+    }
+    if (page) {
+      const jobId = await trackManualApplication(tabId, session, page)
+        .catch((e) => console.warn("[job] Could not add the application to the tracker:", e));
+      // The click may already have ended the session (a page load after submit does) while
+      // the record was being written; bring the record up to how it ended.
+      if (jobId && session.ended) {
+        await syncJobStatus({ ...session, jobId }, session.ended.status, session.ended.message)
+          .catch((e) => console.error("[job] Status sync failed:", e));
+      } else if (jobId) {
+        session.jobId = jobId;
+      }
+    }
+    return { ok: true };
+  } catch (e) {
+    endSession(tabId, "error", "Could not click the submit button.");
+    return { ok: false, error: String(e) };
+  }
+}
+
+async function submittedPage(tabId, session) {
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  return {
+    url: session.snapshot?.page?.url || tab?.url || "",
+    title: session.snapshot?.page?.title || tab?.title || "",
+  };
+}
+
+// Fills started from the Apply tab have no job record; one is made once their submit click
+// went through, so the Applications tab lists them next to jobs started from outside. Its
+// status then follows the session like any other job's.
+async function trackManualApplication(tabId, session, { url, title }) {
+  const { jobTitle, company } = jobFromPageTitle(title);
+  const jobId = crypto.randomUUID().slice(0, 24);
+  await setJob(jobId, {
+    status: "running",
+    manual: true,
+    tabId,
+    startUrl: url,
+    applicationState: {
+      goal: {
+        jobUrl: url,
+        jobTitle: jobTitle || "Unknown Position",
+        company: company || pageDomain(url).replace(/^www\./, "") || "Unknown Company",
+        startedAt: new Date(session.startedAt || Date.now()).toISOString(),
+      },
+      progress: { phase: "submitting" },
+    },
+  });
+  return jobId;
+}
+
+// Best guess at { jobTitle, company } from titles like "Job Application for Engineer at Acme",
+// "Engineer - Acme" or "Engineer | Careers at Acme". Either may come back empty.
+function jobFromPageTitle(title) {
+  const clean = title.replace(/\s+/g, " ").trim();
+  const applicationFor = clean.match(/application for (.+?) at (.+)$/i);
+  if (applicationFor) return { jobTitle: applicationFor[1], company: applicationFor[2] };
+  const parts = clean.split(/\s+[-|–—]\s+/).filter(Boolean);
+  const atCompany = parts[0]?.match(/^(.+?) at (.+)$/i);
+  if (atCompany) return { jobTitle: atCompany[1], company: atCompany[2] };
+  return {
+    jobTitle: parts[0] || "",
+    company: (parts[1] || "").replace(/^(careers|jobs) (at|@) /i, ""),
+  };
+}
+
+// Restore the page to how it was before the last fill, in every frame that was filled.
+async function undoFill(tabId) {
+  if (sessions[tabId]) endSession(tabId, "idle", "Fill stopped.");
+  let restored = null;
+  for (const frameId of await getFrameIds(tabId)) {
+    try {
+      const res = await sendToTab(tabId, { type: "undo_fill" }, frameId);
+      if (res?.ok) restored = (restored || 0) + res.restored;
+    } catch { /* no content script in this frame */ }
+  }
+  return restored === null
+    ? { ok: false, error: "There's no fill to undo on this page." }
+    : { ok: true, restored };
+}
+
+function undoMessage(restored) {
+  return restored === 1 ? "Undo complete. Restored 1 field." : `Undo complete. Restored ${restored} fields.`;
+}
+
+// Report an intermediate status for a live session.
+function setStatus(tabId, status, message = "", extra = {}) {
+  if (sessions[tabId]) {
+    sessions[tabId].status = status;
+    persistSession(tabId);
+  }
+  notifyPanel(tabId, status, message, extra);
+  syncJobStatus(sessions[tabId], status, message).catch((e) => console.error("[job] Status sync failed:", e));
+}
+
+// Finish a session with a terminal status ("done", "error" or "idle" when cancelled).
+function endSession(tabId, status, message = "", extra = {}) {
+  const session = sessions[tabId];
+  delete sessions[tabId];
+  if (session) session.ended = { status, message };
+  session?.controller?.abort(); // drop any server call still in flight
+  persistSession(tabId);
+  if (session) recordFill(tabId, session, status, message).catch((e) => console.warn("[apply-agent] Fill history update failed:", e));
+  notifyPanel(tabId, status, message, extra);
+  syncJobStatus(session, status, message).catch((e) => console.error("[job] Status sync failed:", e));
+}
+
+// ── Step navigation ───────────────────────────────────────────────────────────
+//
+// ATS flows like Workday, Taleo and iCIMS load a new page for each step. A navigation
+// counts as the next step when it starts soon after our Next click and stays on the
+// same site, or moves within one ATS's own domains (redirect chains, career-site hosts).
+
+const STEP_NAVIGATION_WINDOW_MS = 30000;
+
+const ATS_DOMAIN_FAMILIES = [
+  ["myworkdayjobs.com", "myworkday.com", "myworkdaysite.com", "workday.com"],
+  ["taleo.net", "oraclecloud.com"],
+  ["icims.com"],
+  ["successfactors.com", "successfactors.eu", "sapsf.com"],
+  ["brassring.com", "kenexa.com"],
+  ["jobvite.com"],
+  ["smartrecruiters.com"],
+];
+
+function isStepNavigation(session, url) {
+  if (!session.awaitingStep || Date.now() - (session.advancedAt || 0) > STEP_NAVIGATION_WINDOW_MS) return false;
+  const to = pageDomain(url);
+  if (!to) return false;
+  // Each hop of a redirect chain is compared with the page before it
+  const from = [session.snapshot?.page?.url, session.navigation?.from, session.navigation?.url]
+    .map(pageDomain)
+    .filter(Boolean);
+  return from.some(domain => siteOf(domain) === siteOf(to) || sameAtsFamily(domain, to));
+}
+
+// "wd5.myworkdayjobs.com" -> "myworkdayjobs.com", "careers.example.co.uk" -> "example.co.uk"
+function siteOf(hostname) {
+  const labels = hostname.split(".");
+  const secondLevel = labels.length > 2 && labels.at(-1).length === 2 && labels.at(-2).length <= 3;
+  return labels.slice(secondLevel ? -3 : -2).join(".");
+}
+
+function sameAtsFamily(a, b) {
+  const family = (host) => ATS_DOMAIN_FAMILIES.findIndex(domains => domains.includes(siteOf(host)));
+  return family(a) !== -1 && family(a) === family(b);
+}
+
+async function continueAfterNavigation(tabId, session) {
+  session.navigation = null;
+  await sleep(500); // let the new page's scripts render the form
+  if (sessions[tabId] !== session) return;
+  await nextStep(tabId);
+}
+
+// ── Session persistence ───────────────────────────────────────────────────────
+//
+// Chrome may suspend the worker between filling a step and the page reporting the next
+// one, so every session is mirrored to chrome.storage.session ("fillSession:<tabId>")
+// and restored when the worker starts again. The profile isn't copied there: profileId
+// points back at it. While any fill is active the worker is kept awake, with an alarm
+// as a backstop that wakes it if it is suspended anyway.
+
+const SESSION_STORE_PREFIX = "fillSession:";
+const KEEPALIVE_ALARM = "fill-keepalive";
+const KEEPALIVE_INTERVAL_MS = 20000;
+
+let keepAliveTimer = null;
+
+// Resolves once sessions from before the last suspension are back; listeners await it.
+const sessionsReady = restoreSessions().catch((e) => console.error("[apply-agent] Session restore failed:", e));
+sessionsReady.then(resumeQueue);
+
+function persistSession(tabId) {
+  const key = `${SESSION_STORE_PREFIX}${tabId}`;
+  const session = sessions[tabId];
+  const write = session
+    ? chrome.storage.session.set({ [key]: serializeSession(session) })
+    : chrome.storage.session.remove(key);
+  write.catch((e) => console.warn("[apply-agent] Could not save session:", e));
+  updateKeepAlive();
+}
+
+function serializeSession(session) {
+  const { profile, controller, ...rest } = session;
+  return rest;
+}
+
+async function restoreSessions() {
+  const stored = await chrome.storage.session.get(null);
+  for (const [key, saved] of Object.entries(stored)) {
+    if (!key.startsWith(SESSION_STORE_PREFIX)) continue;
+    const tabId = Number(key.slice(SESSION_STORE_PREFIX.length));
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (!tab) {
+      await chrome.storage.session.remove(key);
+      continue;
+    }
+
+    const session = { ...saved, controller: new AbortController(), profile: {} };
+    sessions[tabId] = session;
+    try {
+      const { profile } = await loadProfile(tab.url, saved.profileId);
+      const inputs = saved.jobId ? await loadJobInputs(saved.jobId) : null;
+      session.profile = withExternalFields(profile, inputs);
+    } catch (e) {
+      endSession(tabId, "error", friendlyError("Could not load your profile.", e));
+      continue;
+    }
+
+    // Work that was in flight when the worker stopped is lost; start the step again.
+    // Sessions waiting on the page (next step, a page load, review, submit) just carry on.
+    const interrupted = !session.navigation
+      && (session.status === "analyzing" || (session.status === "filling" && !session.awaitingStep));
+    if (interrupted) {
+      requestSnapshotAndFill(tabId).catch((e) => console.error("[apply-agent] Resumed fill failed:", e));
+    }
+  }
+  updateKeepAlive();
+}
+
+// Any extension API call resets the worker's idle timer
+function updateKeepAlive() {
+  const active = Object.keys(sessions).length > 0;
+  if (active && !keepAliveTimer) {
+    keepAliveTimer = setInterval(() => chrome.runtime.getPlatformInfo(), KEEPALIVE_INTERVAL_MS);
+    chrome.alarms.create(KEEPALIVE_ALARM, { periodInMinutes: 0.5 });
+  } else if (!active && keepAliveTimer) {
+    clearInterval(keepAliveTimer);
+    keepAliveTimer = null;
+    chrome.alarms.clear(KEEPALIVE_ALARM);
+  }
+}
+
+// ── Mapping cache ─────────────────────────────────────────────────────────────
+//
+// Remembers, per site and form layout, which profile key answered each field, so a
+// repeat visit can be filled without the server. Stored under MAPPING_CACHE_KEY as
+//   "<domain>|<fingerprint>" -> { domain, fingerprint, fields: { identity: entry },
+//                                 skipped: [identity], profileHash, fieldCount, hits, updatedAt }
+// where an entry is { profileKey } when the field takes the profile value as-is,
+// { profileKey, valueHash, option } when it picked option #option of a select or radio
+// group, { profileKey, valueHash, checked } for a checkbox, or { documentId } for uploads.
+// Values themselves are never stored: they are read from the active profile at fill
+// time, and valueHash (of the profile value the choice was made for) only tells whether
+// that choice still applies.
+
+const MAX_CACHE_RECORDS = 200;
+
+function pageDomain(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return "";
+  }
+}
+
+function hasCurrentValue(field) {
+  return field.kind === "checkbox" || field.kind === "radio" ? !!field.checked : !!field.value;
+}
+
+async function loadMappingCache() {
+  const data = await chrome.storage.local.get([MAPPING_CACHE_KEY]);
+  return data[MAPPING_CACHE_KEY] || {};
+}
+
+// Splits a snapshot into a mapping the cache can answer and the fields the server still has to see.
+async function planFromCache(snapshot, session) {
+  const domain = pageDomain(snapshot.page.url);
+  const fingerprint = formFingerprint(snapshot.fields);
+  const flat = flattenProfile(session.profile);
+  const profileHash = hashString(JSON.stringify(flat));
+  const plan = { domain, fingerprint, profileHash, mapping: [], remaining: snapshot.fields };
+  if (!domain) return plan;
+
+  const records = Object.values(await loadMappingCache())
+    .filter(r => r.domain === domain)
+    .sort((a, b) => a.updatedAt - b.updatedAt);
+  if (records.length === 0) return plan;
+
+  // Newest record wins when the same field appears on several layouts of this site
+  const known = Object.assign({}, ...records.map(r => r.fields));
+  const exact = records.find(r => r.fingerprint === fingerprint);
+  // Fields the server chose not to fill stay skipped only while the profile is unchanged
+  const skipped = new Set(exact?.profileHash === profileHash ? exact.skipped : []);
+  const documents = await loadDocuments();
+
+  plan.remaining = [];
+  for (const field of snapshot.fields) {
+    const identity = fieldIdentity(field);
+    const value = cachedValue(known[identity], field, flat, documents);
+    if (value !== null) {
+      if (!hasCurrentValue(field)) {
+        plan.mapping.push({ selector: field.locator, value, type: field.kind, frameId: field.frameId, cached: true });
+      }
+      continue;
+    }
+    if (skipped.has(identity) || (exact && hasCurrentValue(field))) continue;
+    plan.remaining.push(field);
+  }
+  return plan;
 }
 
+function cachedValue(entry, field, flat, documents) {
+  if (!entry) return null;
+  if (entry.documentId) return documents.some(d => d.id === entry.documentId) ? entry.documentId : null;
+  const current = flat[entry.profileKey];
+  if (current === undefined) return null;
+  if (entry.valueHash === undefined) return current;
+  if (entry.valueHash !== hashString(current)) return null;
+  if (entry.checked !== undefined) return String(entry.checked);
+  return field.options?.[entry.option] ?? null;
+}
+
+// Null when the value can't be re-derived from the profile later (reworded free text)
+function cacheEntryFor(item, field, flat) {
+  if (item.type === "file") return item.value ? { documentId: item.value } : null;
+  const profileValue = flat[item.profileKey];
+  if (!item.profileKey || profileValue === undefined) return null;
+  if (item.value === profileValue) return { profileKey: item.profileKey };
+
+  const valueHash = hashString(profileValue);
+  if (field.kind === "checkbox" || field.kind === "radio") {
+    return { profileKey: item.profileKey, valueHash, checked: item.value === "true" };
+  }
+  const wanted = String(item.value).trim().toLowerCase();
+  const option = (field.options || []).findIndex(o => o.trim().toLowerCase() === wanted);
+  return option >= 0 ? { profileKey: item.profileKey, valueHash, option } : null;
+}
+
+// Caches written before entries stopped holding values carry { profileValue, value };
+// those entries are dropped.
+async function scrubMappingCache() {
+  const cache = await loadMappingCache();
+  let changed = false;
+  for (const record of Object.values(cache)) {
+    for (const [identity, entry] of Object.entries(record.fields || {})) {
+      if (entry.value === undefined && entry.profileValue === undefined) continue;
+      delete record.fields[identity];
+      changed = true;
+    }
+  }
+  if (changed) await chrome.storage.local.set({ [MAPPING_CACHE_KEY]: cache });
+}
+
+scrubMappingCache().catch((e) => console.warn("[cache] Scrub failed:", e));
+
+// Records what worked on this form. Only fields the page accepted are cached.
+async function rememberMapping(session, mapping, results) {
+  const plan = session.cachePlan;
+  if (!plan?.domain || !session.snapshot) return;
+
+  const key = (frameId, selector) => `${frameId ?? 0}|${selector}`;
+  const fieldsByKey = new Map(session.snapshot.fields.map(f => [key(f.frameId, f.locator), f]));
+  const accepted = new Set(results.filter(r => r.status === "filled").map(r => key(r.frameId, r.selector)));
+  const flat = flattenProfile(session.profile);
+
+  const entries = {};
+  const replaced = new Set();
+  const mapped = new Set();
+  for (const item of mapping) {
+    const k = key(item.frameId, item.selector);
+    const field = fieldsByKey.get(k);
+    if (!field) continue;
+    mapped.add(k);
+    if (!accepted.has(k) || item.cached) continue;
+    const entry = cacheEntryFor(item, field, flat);
+    if (entry) entries[fieldIdentity(field)] = entry;
+    else replaced.add(fieldIdentity(field)); // answered some other way this time
+  }
+  const skipped = plan.remaining
+    .filter(f => !mapped.has(key(f.frameId, f.locator)) && !hasCurrentValue(f))
+    .map(fieldIdentity);
+
+  const cache = await loadMappingCache();
+  const recordKey = `${plan.domain}|${plan.fingerprint}`;
+  const previous = cache[recordKey];
+  const keepSkipped = previous?.profileHash === plan.profileHash ? previous.skipped : [];
+  const fields = { ...previous?.fields, ...entries };
+  replaced.forEach(id => delete fields[id]);
+  cache[recordKey] = {
+    domain: plan.domain,
+    fingerprint: plan.fingerprint,
+    fields,
+    skipped: [...new Set([...keepSkipped, ...skipped])].filter(id => !fields[id]),
+    profileHash: plan.profileHash,
+    fieldCount: session.snapshot.fields.length,
+    hits: (previous?.hits || 0) + (plan.mapping.length > 0 ? 1 : 0),
+    updatedAt: Date.now(),
+  };
+  if (Object.keys(cache[recordKey].fields).length === 0 && cache[recordKey].skipped.length === 0) return;
+
+  const keys = Object.keys(cache);
+  if (keys.length > MAX_CACHE_RECORDS) {
+    keys.sort((a, b) => cache[a].updatedAt - cache[b].updatedAt)
+      .slice(0, keys.length - MAX_CACHE_RECORDS)
+      .forEach(k => delete cache[k]);
+  }
+  await chrome.storage.local.set({ [MAPPING_CACHE_KEY]: cache });
+}
+
+// ── Fill history ──────────────────────────────────────────────────────────────
+//
+// One record per finished fill session, newest first, kept in chrome.storage.local so
+// the History tab can audit what was entered. Values are left out unless the user opts in.
+
+const MAX_HISTORY_RECORDS = 500;
+
+// Writes are chained so two sessions ending together don't drop each other's record
+let historyWrite = Promise.resolve();
+
+function recordFill(tabId, session, status, message) {
+  historyWrite = historyWrite.catch(() => {}).then(async () => {
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    const steps = session.history || [];
+    const record = {
+      id: crypto.randomUUID(),
+      url: session.snapshot?.page?.url || steps[0]?.url || tab?.url || "",
+      title: session.snapshot?.page?.title || tab?.title || "",
+      startedAt: session.startedAt || Date.parse(steps[0]?.at) || Date.now(),
+      endedAt: Date.now(),
+      steps: steps.length,
+      outcome: fillOutcome(session, status),
+      message,
+      profileId: session.profileId || null,
+      jobId: session.jobId || null,
+      fields: steps.flatMap(({ step, fields }) => fields.map((f) => ({ step, ...f }))),
+    };
+    record.errors = [
+      ...(status === "error" && message ? [message] : []),
+      ...record.fields.filter((f) => f.status !== "filled").map((f) => `${f.label || f.selector}: ${f.error || f.status}`),
+    ];
+
+    // Vault-covered: a vault that locked mid-fill loses this record
+    const data = await getSecure([FILL_HISTORY_KEY]);
+    const history = [record, ...(data[FILL_HISTORY_KEY] || [])].slice(0, MAX_HISTORY_RECORDS);
+    await setSecure({ [FILL_HISTORY_KEY]: history });
+  }).catch((e) => console.warn("[history] Fill not recorded:", e.message));
+  return historyWrite;
+}
+
+// "submitted" | "done" | "stopped" (cancelled, or the user navigated away) | "error"
+function fillOutcome(session, status) {
+  if (status === "done") return session.submitted ? "submitted" : "done";
+  return status === "error" ? "error" : "stopped";
+}
+
+// ── Auth helpers ──────────────────────────────────────────────────────────────
+
+// Token refresh and retry-after-401 happen in fetchWithAuth (auth.js); a 401 that
+// survives it means the user has to sign in again.
 async function authedFetch(url, options = {}) {
-  const token = await getAuthToken();
   const headers = { "Content-Type": "application/json", ...(options.headers || {}) };
-  if (token) headers["Authorization"] = `Bearer ${token}`;
-
-  const res = await fetch(url, { ...options, headers });
+  const res = await fetchWithAuth(url, { ...options, headers });
 
   if (res.status === 401) {
     const body = await res.clone().json().catch(() => ({}));
-    chrome.runtime.sendMessage({ type: "AUTH_EXPIRED" }).catch(() => {});
     throw new Error(body.message || "Your session has expired. Please sign in again.");
   }
 
@@ -442,6 +2201,8 @@ async function authedFetch(url, options = {}) {
     const body = await res.clone().json().catch(() => ({}));
     const msg = body.message || "You've reached your daily limit. Try again tomorrow.";
     chrome.runtime.sendMessage({ type: "RATE_LIMITED", message: msg }).catch(() => {});
+    // The job queue holds off until the limit resets
+    await chrome.storage.local.set({ rateLimitedUntil: Date.parse(body.resetsAt) || nextUtcMidnight() });
     throw new Error(msg);
   }
 
@@ -450,32 +2211,92 @@ async function authedFetch(url, options = {}) {
 
 // ── Server-proxied fill ──────────────────────────────────────────────────────
 
-async function callServer(html, profile) {
+// `retry` lists fields the page rejected last time ({ index, value, status, error }),
+// so the server can correct them instead of mapping from scratch.
+// Resolves to { mapping, expand }; `expand` lists add-section buttons to click first.
+// Ending the session aborts the call through its controller.
+async function callServer(snapshot, session, retry = undefined) {
   const apiBase = await getApiBase();
   const res = await authedFetch(`${apiBase}/api/agent/fill`, {
     method: "POST",
-    body: JSON.stringify({ html, profile }),
+    timeoutMs: FILL_TIMEOUT_MS,
+    retries: AI_RETRIES,
+    signal: session.controller?.signal,
+    body: JSON.stringify({
+      page: snapshot.page,
+      fields: snapshot.fields,
+      addButtons: snapshot.addButtons?.length ? snapshot.addButtons : undefined,
+      profile: session.profile,
+      documents: await documentSummaries(session),
+      retry,
+    }),
   });
   if (!res.ok) {
     const body = await res.json().catch(() => ({}));
     throw new Error(body.message || "Something went wrong filling this form. Please try again.");
   }
   const data = await res.json();
-  return data.mapping || [];
+  return { mapping: data.mapping || [], expand: data.expand || [] };
 }
 
 // ── Profile helpers ───────────────────────────────────────────────────────────
 
-async function loadProfile() {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(PROFILE_KEY, (r) => resolve(r[PROFILE_KEY] || {}));
-  });
+// Profiles are stored as [{ id, name, profile, updatedAt }]. The one used on a page is
+// `profileId` when given (a restored session), then the site's default (siteProfiles:
+// { hostname: profileId }), then the active one. Resolves to { profileId, profile }.
+async function loadProfile(url = "", profileId = null) {
+  const data = await getSecure([PROFILES_KEY, ACTIVE_PROFILE_KEY, SITE_PROFILES_KEY, PROFILE_KEY]);
+  const profiles = data[PROFILES_KEY] || [];
+  if (profiles.length === 0) return { profileId: null, profile: data[PROFILE_KEY] || {} };
+  const siteProfileId = data[SITE_PROFILES_KEY]?.[pageDomain(url)];
+  const entry = profiles.find(p => p.id === profileId)
+    || profiles.find(p => p.id === siteProfileId)
+    || profiles.find(p => p.id === data[ACTIVE_PROFILE_KEY])
+    || profiles[0];
+  return { profileId: entry.id, profile: entry.profile || {} };
+}
+
+// ── Documents ─────────────────────────────────────────────────────────────────
+
+// Stored as [{ id, name, tags, fileName, mimeType, size, data (base64), addedAt }]
+async function loadDocuments() {
+  const data = await getSecure([DOCUMENTS_KEY]);
+  return data[DOCUMENTS_KEY] || [];
+}
+
+// Metadata the server needs to pick a document for each upload field — never the file itself.
+async function documentSummaries(session) {
+  const documents = await loadDocuments();
+  return documents.map(({ id, name, tags, fileName }) => ({
+    id,
+    name,
+    tags,
+    fileName,
+    preferred: id === session.preferredDocumentId || undefined,
+  }));
+}
+
+// File mapping items carry a document id as their value; the content script needs the bytes.
+async function attachDocuments(mapping) {
+  if (!mapping.some(item => item.type === "file")) return mapping;
+  const documents = await loadDocuments();
+  return mapping
+    .map((item) => {
+      if (item.type !== "file") return item;
+      const doc = documents.find(d => d.id === item.value);
+      if (!doc) {
+        console.warn("[apply-agent] Unknown document for file field:", item.value);
+        return null;
+      }
+      return { ...item, file: { fileName: doc.fileName, mimeType: doc.mimeType, data: doc.data } };
+    })
+    .filter(Boolean);
 }
 
 // ── Notify sidepanel ──────────────────────────────────────────────────────────
 
-function notifyPanel(tabId, status, message = "") {
-  chrome.runtime.sendMessage({ type: "status_update", status, message, tabId })
+function notifyPanel(tabId, status, message = "", extra = {}) {
+  chrome.runtime.sendMessage({ type: "status_update", status, message, tabId, ...extra })
     .catch(() => {});
 }
 
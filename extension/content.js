@@ -1,5 +1,11 @@
 let mutationObserver = null;
 let waitingForNextStep = false;
+let pendingSubmitButton = null;
+
+// Undo stack: one entry per fill, each a Map of element -> state before it was changed
+const MAX_UNDO_BATCHES = 10;
+const undoStack = [];
+let currentBatch = null;
 
 // ── Message router ─────────────────────────────────────────────────────────────
 
@@ -22,15 +28,62 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
     }
 
     case "get_snapshot": {
-      sendResponse({ html: document.documentElement.outerHTML });
+      sendResponse({
+        url: location.href,
+        title: document.title,
+        fields: collectFields(),
+        addButtons: collectAddButtons(),
+      });
       return false;
     }
 
+    case "expand_sections": {
+      (async () => {
+        let clicked = 0;
+        for (const { selector, times } of msg.buttons) {
+          for (let i = 0; i < Math.min(times, MAX_SECTION_CLICKS); i++) {
+            const btn = querySelectorDeep(selector);
+            if (!btn) break;
+            btn.scrollIntoView({ behavior: "instant", block: "center" });
+            btn.click();
+            clicked++;
+            await delay(400); // let the new section render before adding the next
+          }
+        }
+        sendResponse({ ok: true, clicked });
+      })();
+      return true; // async
+    }
+
+    case "describe_fields": {
+      sendResponse({ fields: msg.selectors.map(describeField) });
+      return false;
+    }
+
+    case "undo_fill": {
+      (async () => {
+        const restored = await undoLastFill();
+        sendResponse(restored === null
+          ? { ok: false, error: "There's no fill to undo on this page." }
+          : { ok: true, restored });
+      })();
+      return true; // async
+    }
+
     case "fill_fields": {
       (async () => {
-        await fillAllFields(msg.mapping);
-        const advanced = await advanceStep();
-        if (!advanced) {
+        const results = await fillAllFields(msg.mapping, msg.correction);
+        sendResponse({ ok: true, results: await verifyFields(results) });
+      })();
+      return true; // async
+    }
+
+    case "advance_step": {
+      (async () => {
+        const result = await advanceStep();
+        if (result === "submit") {
+          chrome.runtime.sendMessage({ type: "submit_pending", label: buttonText(pendingSubmitButton) });
+        } else if (result === "none") {
           chrome.runtime.sendMessage({ type: "fill_complete" });
         }
         sendResponse({ ok: true });
@@ -38,6 +91,44 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
       return true; // async
     }
 
+    case "confirm_submit": {
+      (async () => {
+        let btn = pendingSubmitButton;
+        if (!btn?.isConnected) {
+          const found = findNextButton();
+          btn = found?.kind === "submit" ? found.el : null;
+        }
+        pendingSubmitButton = null;
+        if (!btn) {
+          sendResponse({ ok: false, error: "The submit button is no longer on the page." });
+          return;
+        }
+        watchForNextStep();
+        await delay(200);
+        btn.click();
+        sendResponse({ ok: true });
+      })();
+      return true; // async
+    }
+
+    case "focus_field": {
+      sendResponse(focusField(msg.selector)
+        ? { ok: true }
+        : { ok: false, error: "That field is no longer on the page." });
+      return false;
+    }
+
+    case "get_blocking_fields": {
+      sendResponse(blockingReport());
+      return false;
+    }
+
+    case "cancel_submit": {
+      pendingSubmitButton = null;
+      sendResponse({ ok: true });
+      return false;
+    }
+
     default:
       return false;
   }
@@ -45,20 +136,51 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
 
 // ── Field filling ──────────────────────────────────────────────────────────────
 
-async function fillAllFields(mapping) {
-  for (const field of mapping) {
-    await fillField(field);
-    await delay(80);
+// Fills every mapped field and returns one result per field:
+//   { selector, type, value, label, required, status: "filled" | "not_found" | "no_option" | "rejected", error? }
+// A correction pass joins the previous batch so one undo reverts the whole fill.
+async function fillAllFields(mapping, correction = false) {
+  currentBatch = (correction && undoStack.pop()) || new Map();
+  const results = [];
+  try {
+    for (const field of mapping) {
+      let outcome;
+      try {
+        outcome = await fillField(field);
+      } catch (err) {
+        console.warn("[apply-agent] Fill failed:", field.selector, err);
+        outcome = { status: "rejected", error: "The field couldn't be filled." };
+      }
+      const el = querySelectorDeep(field.selector);
+      results.push({
+        selector: field.selector,
+        type: field.type,
+        value: field.value,
+        label: el ? fieldLabel(el) || field.selector : field.selector,
+        required: !!el && (el.required || el.getAttribute("aria-required") === "true"),
+        ...outcome,
+      });
+      await delay(80);
+    }
+  } finally {
+    if (currentBatch.size > 0) {
+      undoStack.push(currentBatch);
+      if (undoStack.length > MAX_UNDO_BATCHES) undoStack.shift();
+    }
+    currentBatch = null;
   }
+  return results;
 }
 
-async function fillField({ selector, value, type }) {
-  const el = document.querySelector(selector);
+// Returns { status, error? }; verification of what the page kept happens afterwards.
+async function fillField({ selector, value, type, file }) {
+  const el = querySelectorDeep(selector);
   if (!el) {
     console.warn("[apply-agent] Field not found:", selector);
-    return;
+    return { status: "not_found" };
   }
   el.scrollIntoView({ behavior: "instant", block: "center" });
+  rememberState(el, type);
 
   switch (type) {
     case "input":
@@ -70,7 +192,7 @@ async function fillField({ selector, value, type }) {
       break;
 
     case "select":
-      setSelectValue(el, value);
+      if (!setSelectValue(el, value)) return { status: "no_option" };
       el.dispatchEvent(new Event("change", { bubbles: true }));
       el.dispatchEvent(new Event("blur",   { bubbles: true }));
       break;
@@ -81,7 +203,448 @@ async function fillField({ selector, value, type }) {
       if (el.checked !== shouldCheck) el.click();
       break;
     }
+
+    case "file":
+      if (!attachFile(el, file)) return { status: "rejected", error: "The document couldn't be found in the extension." };
+      break;
+
+    case "combobox":
+      if (!await fillCombobox(el, value)) return { status: "no_option" };
+      break;
+
+    case "radiogroup":
+      if (!pickRadioOption(el, value)) return { status: "no_option" };
+      break;
+
+    case "date":
+      if (!fillDate(el, value)) return { status: "rejected", error: `"${value}" isn't a date this field understands.` };
+      break;
+
+    case "richtext":
+      fillRichText(el, value);
+      break;
+  }
+  return { status: "filled" };
+}
+
+// Attach a stored document to a file input, or drop it onto an upload zone
+function attachFile(el, file) {
+  if (!file?.data) {
+    console.warn("[apply-agent] No document data for file field:", el);
+    return false;
+  }
+  const bytes = Uint8Array.from(atob(file.data), c => c.charCodeAt(0));
+  const dt = new DataTransfer();
+  dt.items.add(new File([bytes], file.fileName, { type: file.mimeType || "application/octet-stream" }));
+
+  if (el.tagName === "INPUT" && el.type === "file") {
+    el.files = dt.files;
+    el.dispatchEvent(new Event("input",  { bubbles: true }));
+    el.dispatchEvent(new Event("change", { bubbles: true }));
+    return true;
+  }
+  for (const type of ["dragenter", "dragover", "drop"]) {
+    el.dispatchEvent(new DragEvent(type, { bubbles: true, cancelable: true, dataTransfer: dt }));
+  }
+  return true;
+}
+
+// ── Verification ───────────────────────────────────────────────────────────────
+
+const VALIDATION_SETTLE_MS = 400;
+const ERROR_TEXT_SELECTOR = "[role=alert], [aria-live=assertive], [class*=error i], [class*=invalid i]";
+
+// Re-reads every filled field once the page's validation has had a moment to run,
+// downgrading it to "rejected" if the value didn't stick or the page flagged it.
+async function verifyFields(results) {
+  if (!results.some(r => r.status === "filled")) return results;
+  await delay(VALIDATION_SETTLE_MS);
+  return results.map((result) => {
+    if (result.status !== "filled") return result;
+    const el = querySelectorDeep(result.selector);
+    if (!el) return { ...result, status: "not_found" };
+    if (!valueStuck(el, result)) {
+      return { ...result, status: "rejected", error: "The page cleared this value." };
+    }
+    const error = validationError(el);
+    return error === null ? result : { ...result, status: "rejected", error: error || "The page marked this value as invalid." };
+  });
+}
+
+function valueStuck(el, { type, value }) {
+  if (type === "checkbox" || type === "radio") return el.checked === (value === "true");
+  if (type === "input" || type === "textarea") return el.value !== "" || value === "";
+  return true;
+}
+
+// null when the field looks valid, otherwise the page's error text ("" if it shows none)
+function validationError(el) {
+  const target = el.tagName === "INPUT" || el.tagName === "SELECT" || el.tagName === "TEXTAREA"
+    ? el
+    : el.querySelector(FIELD_SELECTOR) || el;
+  const flagged = target.getAttribute("aria-invalid") === "true"
+    || el.getAttribute("aria-invalid") === "true"
+    || (typeof target.checkValidity === "function" && !target.checkValidity());
+
+  const text = describedError(target) || nearbyErrorText(el);
+  if (text) return text;
+  return flagged ? "" : null;
+}
+
+function describedError(el) {
+  const root = el.getRootNode();
+  const ids = `${el.getAttribute("aria-errormessage") || ""} ${el.getAttribute("aria-describedby") || ""}`
+    .split(/\s+/).filter(Boolean);
+  for (const id of ids) {
+    const node = root.getElementById?.(id);
+    if (node && isVisible(node) && node.matches(ERROR_TEXT_SELECTOR) && node.innerText.trim()) return clip(node.innerText);
+  }
+  return "";
+}
+
+// Error text inside the wrapper that holds this field and no other
+function nearbyErrorText(el) {
+  let node = el.parentElement;
+  for (let depth = 0; node && depth < 3; depth++, node = node.parentElement) {
+    if (node.querySelectorAll(ANY_FIELD_SELECTOR).length > 1) break;
+    const error = [...node.querySelectorAll(ERROR_TEXT_SELECTOR)]
+      .find(e => e !== el && !e.contains(el) && isVisible(e) && e.innerText.trim());
+    if (error) return clip(error.innerText);
+  }
+  return "";
+}
+
+// Scroll a field into view and flash an outline around it, for the panel's jump-to links
+function focusField(selector) {
+  const el = querySelectorDeep(selector);
+  if (!el) return false;
+  el.scrollIntoView({ behavior: "smooth", block: "center" });
+  el.focus?.({ preventScroll: true });
+  const { outline, outlineOffset } = el.style;
+  el.style.outline = "3px solid #f59e0b";
+  el.style.outlineOffset = "2px";
+  setTimeout(() => {
+    el.style.outline = outline;
+    el.style.outlineOffset = outlineOffset;
+  }, 2000);
+  return true;
+}
+
+// ── Custom widgets ─────────────────────────────────────────────────────────────
+
+const OPTION_SELECTOR = "[role=option], [id*='-option-']";
+const OPTION_WAIT_MS = 2500;
+const DATE_FORMAT = /^(?=.*(yy|mm|dd))[ymd\s/.\-]+$/i;
+
+// ARIA comboboxes, react-select and typeahead pickers: open, type to filter, click the best option
+async function fillCombobox(el, value) {
+  const input = comboboxInput(el);
+  pressOn(el);
+  await delay(100);
+  if (input) {
+    input.focus();
+    typeInto(input, value);
+  }
+
+  let option = await waitForOption(el, value);
+  // Typeaheads often only match the first part, e.g. "Berlin" for "Berlin, Germany"
+  const prefix = value.split(/[,(]/)[0].trim();
+  if (!option && input && prefix && prefix !== value) {
+    typeInto(input, prefix);
+    option = await waitForOption(el, value);
+  }
+
+  if (!option) {
+    console.warn("[apply-agent] No matching option for:", value, el);
+    (input || el).dispatchEvent(new KeyboardEvent("keydown", { key: "Escape", bubbles: true }));
+    return false;
+  }
+  option.scrollIntoView({ block: "nearest" });
+  pressOn(option);
+  await delay(100);
+  return true;
+}
+
+function comboboxInput(el) {
+  if (el.tagName === "INPUT") return el;
+  return el.querySelector("input:not([type=hidden])");
+}
+
+function typeInto(input, text) {
+  setNativeValue(input, "");
+  input.dispatchEvent(new Event("input", { bubbles: true }));
+  setNativeValue(input, text);
+  input.dispatchEvent(new InputEvent("input", { bubbles: true, inputType: "insertText", data: text }));
+}
+
+// react-select and Workday open their menus on mousedown rather than click
+function pressOn(el) {
+  const init = { bubbles: true, cancelable: true, view: window };
+  el.dispatchEvent(new PointerEvent("pointerdown", init));
+  el.dispatchEvent(new MouseEvent("mousedown", init));
+  el.dispatchEvent(new PointerEvent("pointerup", init));
+  el.dispatchEvent(new MouseEvent("mouseup", init));
+  el.click();
+}
+
+// Options load asynchronously for remote typeaheads, so poll until one matches
+async function waitForOption(el, value) {
+  const deadline = Date.now() + OPTION_WAIT_MS;
+  while (Date.now() < deadline) {
+    const match = bestOption(visibleOptions(el), value);
+    if (match) return match;
+    await delay(150);
+  }
+  return null;
+}
+
+// Options of the popup the combobox controls, or any open listbox (menus are often portalled to <body>)
+function visibleOptions(el) {
+  const root = el.getRootNode();
+  const ids = `${el.getAttribute("aria-controls") || ""} ${el.getAttribute("aria-owns") || ""}`
+    .split(/\s+/).filter(Boolean);
+  const popups = ids.map(id => root.getElementById?.(id) || document.getElementById(id)).filter(Boolean);
+  const candidates = popups.length
+    ? popups.flatMap(popup => [...popup.querySelectorAll(OPTION_SELECTOR)])
+    : querySelectorAllDeep(OPTION_SELECTOR);
+  return candidates.filter(o => isVisible(o) && o.getAttribute("aria-disabled") !== "true");
+}
+
+// Exact text beats a whole-word prefix, which beats a whole-word substring;
+// failing those, the option sharing the most words with the value wins.
+function bestOption(options, value) {
+  const target = normalizeText(value);
+  if (!target) return null;
+  let best = null;
+  let bestScore = 0;
+  for (const option of options) {
+    const text = normalizeText(optionText(option));
+    if (!text) continue;
+    let score;
+    if (text === target) score = 4;
+    else if (`${text} `.startsWith(`${target} `) || `${target} `.startsWith(`${text} `)) score = 3;
+    else if (` ${text} `.includes(` ${target} `) || ` ${target} `.includes(` ${text} `)) score = 2;
+    else {
+      const words = new Set(text.split(" "));
+      const targetWords = target.split(" ");
+      score = targetWords.filter(w => words.has(w)).length / Math.max(targetWords.length, words.size);
+    }
+    if (score > bestScore) {
+      best = option;
+      bestScore = score;
+    }
+  }
+  return bestScore >= 0.5 ? best : null;
+}
+
+function optionText(el) {
+  return el.getAttribute("aria-label") || el.innerText || el.textContent || "";
+}
+
+function normalizeText(text) {
+  return String(text || "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+// Div-based radio groups and segmented buttons
+function pickRadioOption(group, value) {
+  const option = bestOption(radioOptions(group), value);
+  if (!option) {
+    console.warn("[apply-agent] No matching option for:", value, group);
+    return false;
+  }
+  if (option.getAttribute("aria-checked") !== "true") pressOn(option);
+  return true;
+}
+
+function radioOptions(group) {
+  return [...group.querySelectorAll("[role=radio]")].filter(isVisible);
+}
+
+// The model answers dates as ISO (YYYY-MM-DD or YYYY-MM); write whatever the widget expects
+function fillDate(el, value) {
+  const date = parseDateValue(value);
+  if (!date) {
+    console.warn("[apply-agent] Unrecognised date:", value, el);
+    return false;
+  }
+  if (el.tagName !== "INPUT") return fillDateParts(el, date);
+
+  const type = (el.type || "").toLowerCase();
+  const formatted = type === "date" ? formatDate(date, "YYYY-MM-DD")
+    : type === "month" ? formatDate(date, "YYYY-MM")
+    : formatDate(date, DATE_FORMAT.test(el.placeholder || "") ? el.placeholder : "MM/DD/YYYY");
+  setNativeValue(el, formatted);
+  el.dispatchEvent(new Event("input",  { bubbles: true }));
+  el.dispatchEvent(new Event("change", { bubbles: true }));
+  el.dispatchEvent(new Event("blur",   { bubbles: true }));
+  return true;
+}
+
+// Separate month / day / year boxes, as used by Workday and many design systems
+function fillDateParts(group, date) {
+  let filled = 0;
+  for (const input of group.querySelectorAll("input")) {
+    const part = datePart(input);
+    const text = part === "year" ? date.year : part === "month" ? date.month : part === "day" ? date.day : "";
+    if (!text) continue;
+    input.focus();
+    setNativeValue(input, text);
+    input.dispatchEvent(new Event("input",  { bubbles: true }));
+    input.dispatchEvent(new Event("change", { bubbles: true }));
+    input.dispatchEvent(new Event("blur",   { bubbles: true }));
+    filled++;
+  }
+  return filled > 0;
+}
+
+function parseDateValue(value) {
+  const text = String(value).trim();
+  const iso = text.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?/);
+  if (iso) return { year: iso[1], month: iso[2].padStart(2, "0"), day: iso[3]?.padStart(2, "0") || "" };
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (us) return { year: us[3], month: us[1].padStart(2, "0"), day: us[2].padStart(2, "0") };
+  return null;
+}
+
+function formatDate(date, pattern) {
+  return pattern.replace(/yyyy|yy|mm|dd/gi, (token) => {
+    switch (token.toLowerCase()) {
+      case "yyyy": return date.year;
+      case "yy":   return date.year.slice(2);
+      case "mm":   return date.month;
+      default:     return date.day || "01";
+    }
+  });
+}
+
+function datePart(input) {
+  const hint = ["aria-label", "placeholder", "name", "id", "data-automation-id"]
+    .map(attr => input.getAttribute(attr) || "")
+    .join(" ")
+    .toLowerCase();
+  if (/month|\bmm\b/.test(hint)) return "month";
+  if (/year|\byyyy?\b|\byy\b/.test(hint)) return "year";
+  if (/day\b|\bdd\b/.test(hint)) return "day";
+  return null;
+}
+
+// Smallest wrapper holding two or more date-part inputs and nothing else
+function datePartGroup(el) {
+  if (el.tagName !== "INPUT" || !["text", "number", "tel", ""].includes(el.getAttribute("type") || "")) return null;
+  if (!datePart(el)) return null;
+  let node = el.parentElement;
+  for (let depth = 0; node && depth < 3; depth++, node = node.parentElement) {
+    const inputs = [...node.querySelectorAll("input:not([type=hidden])")];
+    if (inputs.length < 2) continue;
+    const parts = new Set(inputs.map(datePart));
+    return parts.has(null) || parts.size !== inputs.length ? null : node;
+  }
+  return null;
+}
+
+// Rich-text editors (Draft.js, ProseMirror, Quill) listen for beforeinput, so insert through the editing command
+function fillRichText(el, value) {
+  el.focus();
+  window.getSelection()?.selectAllChildren(el);
+  if (!document.execCommand("insertText", false, value)) {
+    el.textContent = value;
+    el.dispatchEvent(new InputEvent("input", { bubbles: true, inputType: "insertText", data: value }));
+  }
+  el.dispatchEvent(new Event("blur", { bubbles: true }));
+}
+
+// ── Undo ───────────────────────────────────────────────────────────────────────
+
+function rememberState(el, type) {
+  if (!currentBatch) return;
+  // A picked combobox option can't be reliably unpicked, so comboboxes are left out of undo
+  if (type === "combobox") return;
+  // Clicking a radio unchecks its siblings, so the whole group has to be captured
+  const group = el.type === "radio" && el.name
+    ? [...(el.form || el.getRootNode()).querySelectorAll(`input[type=radio][name="${CSS.escape(el.name)}"]`)]
+    : type === "radiogroup" ? radioOptions(el)
+    : type === "date" && el.tagName !== "INPUT" ? [...el.querySelectorAll("input")]
+    : [el];
+  for (const member of group) {
+    if (currentBatch.has(member)) continue;
+    currentBatch.set(member, {
+      value: member.value,
+      checked: member.checked,
+      selectedIndex: member.selectedIndex,
+      files: member.files,
+      ariaChecked: member.getAttribute("aria-checked"),
+      html: member.isContentEditable ? member.innerHTML : undefined,
+    });
+  }
+}
+
+async function undoLastFill() {
+  const batch = undoStack.pop();
+  if (!batch) return null;
+
+  const entries = [...batch.entries()].filter(([el]) => el.isConnected).reverse();
+  let restored = 0;
+
+  // Radios that were checked before are restored by clicking, which also clears their siblings
+  for (const [el, prev] of entries) {
+    if (el.type !== "radio" || !prev.checked || el.checked) continue;
+    el.click();
+    restored++;
+  }
+  for (const [el, prev] of entries) {
+    if (el.getAttribute("role") !== "radio" || prev.ariaChecked !== "true") continue;
+    if (el.getAttribute("aria-checked") === "true") continue;
+    pressOn(el);
+    restored++;
+  }
+
+  for (const [el, prev] of entries) {
+    if (el.getAttribute("role") === "radio") {
+      continue;
+    } else if (prev.html !== undefined) {
+      if (el.innerHTML === prev.html) continue;
+      el.innerHTML = prev.html;
+      el.dispatchEvent(new InputEvent("input", { bubbles: true }));
+      restored++;
+    } else if (el.type === "radio") {
+      if (prev.checked || !el.checked) continue;
+      setNativeChecked(el, false);
+      el.dispatchEvent(new Event("input",  { bubbles: true }));
+      el.dispatchEvent(new Event("change", { bubbles: true }));
+      restored++;
+    } else if (el.type === "checkbox") {
+      if (el.checked === prev.checked) continue;
+      el.click();
+      restored++;
+    } else if (el.type === "file") {
+      if (el.files === prev.files) continue;
+      el.files = prev.files || new DataTransfer().files;
+      el.dispatchEvent(new Event("input",  { bubbles: true }));
+      el.dispatchEvent(new Event("change", { bubbles: true }));
+      restored++;
+    } else if (el.tagName === "SELECT") {
+      if (el.selectedIndex === prev.selectedIndex) continue;
+      el.selectedIndex = prev.selectedIndex;
+      el.dispatchEvent(new Event("change", { bubbles: true }));
+      el.dispatchEvent(new Event("blur",   { bubbles: true }));
+      restored++;
+    } else {
+      if (el.value === prev.value) continue;
+      setNativeValue(el, prev.value);
+      el.dispatchEvent(new Event("input",  { bubbles: true }));
+      el.dispatchEvent(new Event("change", { bubbles: true }));
+      el.dispatchEvent(new Event("blur",   { bubbles: true }));
+      restored++;
+    }
+    await delay(40);
   }
+  return restored;
+}
+
+function setNativeChecked(el, checked) {
+  const nativeSetter = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, "checked")?.set;
+  if (nativeSetter) nativeSetter.call(el, checked);
+  else el.checked = checked;
 }
 
 // React/Vue/Angular-compatible value setter
@@ -97,46 +660,449 @@ function setNativeValue(el, value) {
 function setSelectValue(el, targetValue) {
   const lower = targetValue.toLowerCase().trim();
   for (const opt of el.options) {
-    if (opt.value.toLowerCase() === lower) { el.value = opt.value; return; }
+    if (opt.value.toLowerCase() === lower) { el.value = opt.value; return true; }
   }
   for (const opt of el.options) {
     if (opt.text.toLowerCase().includes(lower) || lower.includes(opt.text.toLowerCase())) {
-      el.value = opt.value; return;
+      el.value = opt.value; return true;
     }
   }
   console.warn("[apply-agent] No matching option for:", targetValue, el);
+  return false;
+}
+
+// ── Field description ──────────────────────────────────────────────────────────
+
+function describeField(selector) {
+  const el = querySelectorDeep(selector);
+  if (!el) return { selector, found: false, label: selector };
+  return {
+    selector,
+    found: true,
+    label: fieldLabel(el) || selector,
+    options: fieldOptions(el),
+  };
+}
+
+function fieldOptions(el) {
+  if (el.tagName === "SELECT") return [...el.options].map(o => o.text.trim()).filter(Boolean);
+  if (el.getAttribute("role") === "radiogroup") return radioOptions(el).map(o => clip(optionText(o), 80));
+  if (el.matches(WIDGET_SELECTOR) || el.getAttribute("role") === "combobox" || el.getAttribute("aria-autocomplete") === "list") {
+    const options = visibleOptions(el).map(o => clip(optionText(o), 80)).filter(Boolean);
+    return options.length ? options.slice(0, 60) : undefined;
+  }
+  return undefined;
+}
+
+function fieldLabel(el) {
+  const root = el.getRootNode();
+  if (el.id) {
+    const forLabel = root.querySelector(`label[for="${CSS.escape(el.id)}"]`);
+    if (forLabel?.innerText.trim()) return clip(forLabel.innerText);
+  }
+  const labelledBy = labelledByText(el);
+  if (labelledBy) return labelledBy;
+  const wrapping = el.closest("label");
+  if (wrapping?.innerText.trim() && !el.isContentEditable) return clip(wrapping.innerText);
+  return el.getAttribute("aria-label")
+    || nearbyText(el)
+    || el.getAttribute("placeholder")
+    || el.getAttribute("name")
+    || "";
+}
+
+function labelledByText(el) {
+  const ids = el.getAttribute("aria-labelledby");
+  if (!ids) return "";
+  const root = el.getRootNode();
+  return clip(ids.split(/\s+/)
+    .map(id => root.getElementById(id)?.innerText.trim() || "")
+    .filter(Boolean)
+    .join(" "));
+}
+
+// Text of the closest wrapper that holds this field and no other — usually the question
+function nearbyText(el) {
+  // Date-part groups and other composite widgets count as a single field
+  const own = Math.max(1, (el.matches(ANY_FIELD_SELECTOR) ? 1 : 0) + el.querySelectorAll(ANY_FIELD_SELECTOR).length);
+  let node = el.parentElement;
+  for (let depth = 0; node && depth < 3; depth++, node = node.parentElement) {
+    if (node.querySelectorAll(ANY_FIELD_SELECTOR).length > own) break;
+    const text = node.innerText?.trim();
+    if (text) return clip(text.split("\n")[0]);
+  }
+  return "";
+}
+
+function clip(text, max = 200) {
+  const clean = String(text).replace(/\s+/g, " ").trim();
+  return clean.length > max ? clean.slice(0, max) + "…" : clean;
+}
+
+// ── Field inventory ────────────────────────────────────────────────────────────
+
+const FIELD_SELECTOR = "input, select, textarea";
+// Custom controls built from divs and buttons
+const WIDGET_SELECTOR = "[role=combobox], button[aria-haspopup=listbox], [role=radiogroup], [contenteditable]:not([contenteditable=false])";
+const ANY_FIELD_SELECTOR = `${FIELD_SELECTOR}, ${WIDGET_SELECTOR}`;
+const DROPZONE_SELECTOR = "[class*=dropzone i], [class*=drop-zone i], [data-testid*=dropzone i]";
+const SKIPPED_INPUT_TYPES = ["hidden", "submit", "button", "reset", "image", "password"];
+
+// Compact description of every fillable field on the page, across open shadow roots.
+function collectFields() {
+  const fields = [];
+  const dateGroups = new Set();
+  for (const candidate of querySelectorAllDeep(ANY_FIELD_SELECTOR)) {
+    if (!isFillable(candidate) || isWidgetDuplicate(candidate)) continue;
+
+    // Separate month/day/year boxes are reported once, as their wrapper
+    const dateGroup = datePartGroup(candidate);
+    if (dateGroup && dateGroups.has(dateGroup)) continue;
+    if (dateGroup) dateGroups.add(dateGroup);
+    const el = dateGroup || candidate;
+
+    const kind = dateGroup ? "date" : fieldKind(el);
+    const field = {
+      locator: locatorFor(el),
+      kind,
+      tag: el.tagName.toLowerCase(),
+      type: dateGroup ? "date-parts"
+        : kind === "richtext" ? "contenteditable"
+        : el.getAttribute("type") || el.getAttribute("role") || el.tagName.toLowerCase(),
+      label: fieldLabel(el),
+      name: el.getAttribute("name") || undefined,
+      placeholder: el.getAttribute("placeholder") || undefined,
+      autocomplete: el.getAttribute("autocomplete") || undefined,
+      required: el.required || el.getAttribute("aria-required") === "true",
+      section: sectionHeading(el) || undefined,
+    };
+    if (kind === "checkbox" || kind === "radio") {
+      field.checked = el.checked;
+      field.group = groupLabel(el) || undefined;
+    } else if (kind === "file") {
+      field.value = [...(el.files || [])].map(f => f.name).join(", ");
+      field.accept = el.getAttribute("accept") || undefined;
+    } else if (kind === "select") {
+      field.options = [...el.options].map(o => clip(o.text, 80)).filter(Boolean);
+      field.value = el.selectedIndex > 0 ? clip(el.options[el.selectedIndex].text, 80) : "";
+    } else if (kind === "radiogroup") {
+      const options = radioOptions(el);
+      field.options = options.map(o => clip(optionText(o), 80));
+      const checked = options.find(o => o.getAttribute("aria-checked") === "true");
+      field.value = checked ? clip(optionText(checked), 80) : "";
+    } else if (kind === "combobox") {
+      field.options = fieldOptions(el);
+      field.value = comboboxValue(el);
+    } else if (dateGroup) {
+      field.value = [...el.querySelectorAll("input")].map(i => i.value).filter(Boolean).join("/");
+    } else if (kind === "richtext") {
+      field.value = clip(el.innerText);
+    } else {
+      field.value = clip(el.value ?? el.textContent ?? "");
+    }
+    fields.push(field);
+  }
+
+  // Drag-and-drop upload zones that have no file input of their own
+  for (const zone of querySelectorAllDeep(DROPZONE_SELECTOR)) {
+    if (!isVisible(zone) || zone.querySelector("input[type=file]")) continue;
+    if (zone.parentElement?.closest(DROPZONE_SELECTOR)) continue;
+    fields.push({
+      locator: locatorFor(zone),
+      kind: "file",
+      tag: zone.tagName.toLowerCase(),
+      type: "dropzone",
+      label: fieldLabel(zone) || clip(zone.innerText),
+      section: sectionHeading(zone) || undefined,
+    });
+  }
+  return fields;
+}
+
+// Widget roles that wrap, or sit beside, a control that is already reported
+function isWidgetDuplicate(el) {
+  if (el.tagName === "INPUT" || el.tagName === "SELECT" || el.tagName === "TEXTAREA") return false;
+  if (el.isContentEditable) return !!el.parentElement?.isContentEditable;
+  const role = el.getAttribute("role");
+  if (role === "radiogroup") return !!el.querySelector("input[type=radio]") || radioOptions(el).length === 0;
+  if (role === "combobox") return !!comboboxInput(el);
+  // Headless UI style comboboxes pair a text input with a listbox toggle button
+  return !!el.parentElement?.querySelector("input[role=combobox]");
+}
+
+// What a combobox currently shows; trigger buttons display a placeholder until something is picked
+function comboboxValue(el) {
+  if (el.tagName === "INPUT") {
+    // react-select renders the picked option next to an empty input
+    const picked = el.closest("[class*=control i]")?.querySelector("[class*=singleValue i]");
+    return clip(el.value || picked?.innerText || "", 80);
+  }
+  const text = clip(el.innerText || "", 80);
+  return /^(select|choose|pick|--)/i.test(text) ? "" : text;
+}
+
+function isFillable(el) {
+  if (el.disabled || el.readOnly || el.getAttribute("aria-disabled") === "true") return false;
+  if (el.tagName === "INPUT" && SKIPPED_INPUT_TYPES.includes((el.type || "").toLowerCase())) return false;
+  // Upload inputs are usually hidden behind a styled button or drop zone
+  if (el.type === "file") return isVisible(el) || isVisible(el.parentElement) || isVisible(el.parentElement?.parentElement);
+  return isVisible(el);
+}
+
+function isVisible(el) {
+  if (!el?.getClientRects().length) return false;
+  const style = getComputedStyle(el);
+  return style.visibility !== "hidden" && style.display !== "none";
+}
+
+function fieldKind(el) {
+  if (el.tagName === "SELECT") return "select";
+  if (el.tagName === "TEXTAREA") return "textarea";
+  if (el.isContentEditable) return "richtext";
+  if (el.getAttribute("role") === "radiogroup") return "radiogroup";
+  if (el.tagName !== "INPUT") return "combobox";
+  const type = (el.type || "").toLowerCase();
+  if (type === "checkbox" || type === "radio" || type === "file") return type;
+  if (type === "date" || type === "month" || DATE_FORMAT.test(el.placeholder || "")) return "date";
+  if (el.getAttribute("role") === "combobox"
+    || el.getAttribute("aria-autocomplete") === "list"
+    || el.parentElement?.closest("[role=combobox]")) return "combobox";
+  return "input";
+}
+
+// The question a checkbox/radio belongs to, as opposed to its own option label
+function groupLabel(el) {
+  const group = el.closest("fieldset, [role=radiogroup], [role=group]");
+  if (!group) return "";
+  const legend = group.querySelector("legend");
+  if (legend?.innerText.trim()) return clip(legend.innerText);
+  return labelledByText(group) || group.getAttribute("aria-label") || "";
+}
+
+// Nearest heading that comes before the field
+function sectionHeading(el) {
+  for (let node = el.parentElement; node; node = node.parentElement) {
+    const headings = [...node.querySelectorAll("h1, h2, h3, h4, h5, h6, legend, [role=heading]")]
+      .filter(h => h.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING);
+    const last = headings[headings.length - 1];
+    if (last?.innerText.trim()) return clip(last.innerText, 120);
+  }
+  return "";
+}
+
+// Shortest stable selector for an element, prefixed with its shadow hosts (" >>> ")
+function locatorFor(el) {
+  const root = el.getRootNode();
+  const local = localSelector(el, root);
+  return root instanceof ShadowRoot ? `${locatorFor(root.host)} >>> ${local}` : local;
+}
+
+function localSelector(el, root) {
+  const tag = el.tagName.toLowerCase();
+  const unique = (sel) => {
+    try { return root.querySelectorAll(sel).length === 1; } catch { return false; }
+  };
+
+  if (el.id && unique(`#${CSS.escape(el.id)}`)) return `#${CSS.escape(el.id)}`;
+
+  const name = el.getAttribute("name");
+  if (name) {
+    const byName = `${tag}[name="${CSS.escape(name)}"]`;
+    if (unique(byName)) return byName;
+    const byValue = `${byName}[value="${CSS.escape(el.getAttribute("value") || "")}"]`;
+    if ((el.type === "radio" || el.type === "checkbox") && unique(byValue)) return byValue;
+  }
+
+  for (const attr of ["data-testid", "data-automation-id", "aria-label"]) {
+    const val = el.getAttribute(attr);
+    const sel = `${tag}[${attr}="${CSS.escape(val || "")}"]`;
+    if (val && unique(sel)) return sel;
+  }
+
+  // Structural path from the nearest ancestor that has a unique id
+  const path = [];
+  let node = el;
+  while (node && node.parentElement) {
+    if (node !== el && node.id && unique(`#${CSS.escape(node.id)}`)) {
+      path.unshift(`#${CSS.escape(node.id)}`);
+      break;
+    }
+    const sameTag = [...node.parentElement.children].filter(c => c.tagName === node.tagName);
+    const nodeTag = node.tagName.toLowerCase();
+    path.unshift(sameTag.length > 1 ? `${nodeTag}:nth-of-type(${sameTag.indexOf(node) + 1})` : nodeTag);
+    node = node.parentElement;
+  }
+  return path.join(" > ");
+}
+
+// ── Repeatable sections ────────────────────────────────────────────────────────
+
+const ADD_BUTTON_TEXT = /^\+?\s*(add|ajouter|añadir|agregar|hinzufügen)\b/i;
+const REPEATABLE_SECTION = /experience|employment|employer|position|job|work|education|school|degree|another|more|expérience|formation|experiencia|educación|berufserfahrung|ausbildung/i;
+const MAX_SECTION_CLICKS = 5;
+
+// "Add another position" / "+ Add education" buttons that open one more repeated section
+function collectAddButtons() {
+  const buttons = [];
+  for (const el of querySelectorAllDeep("button, [role=button], a")) {
+    if (el.disabled || !isVisible(el)) continue;
+    const text = clip(buttonText(el), 80);
+    if (!ADD_BUTTON_TEXT.test(text)) continue;
+    const section = sectionHeading(el);
+    if (!REPEATABLE_SECTION.test(`${text} ${section}`)) continue;
+    buttons.push({ locator: locatorFor(el), label: text, section: section || undefined });
+  }
+  return buttons;
 }
 
 // ── Step advancement ───────────────────────────────────────────────────────────
 
+// What the step looked like when we clicked Next or Submit, to tell a click that moved
+// the form on from one the page refused: { fingerprint }
+let stepBefore = null;
+
+// Returns "advanced" once a click on the next-page button is scheduled, "submit" when the
+// only way forward is a final submit (held until the user confirms), or "none". The click
+// comes after the reply so a full page navigation can't cut the reply off.
 async function advanceStep() {
-  const nextBtn = findNextButton();
-  if (!nextBtn) return false;
+  const found = findNextButton();
+  if (!found) return "none";
+  if (found.kind === "submit") {
+    pendingSubmitButton = found.el;
+    return "submit";
+  }
   watchForNextStep();
-  await delay(200);
-  nextBtn.click();
-  return true;
+  setTimeout(() => found.el.click(), 200);
+  return "advanced";
 }
 
+const NEXT_KW   = ["next", "continue", "suivant", "weiter", "siguiente", "proceed", "forward"];
+const SUBMIT_KW = ["submit", "send", "envoyer", "senden", "enviar", "finish", "done"];
+// Buttons with a forward word that lead somewhere other than the next step of this form
+const OFF_FORM_TEXT = /\b(next job|more jobs|similar jobs|other jobs|view jobs|all jobs|google|linkedin|facebook|apple|microsoft|indeed|sign ?in|log ?in|sign ?up|register|back|previous|cancel|later|draft|search|exit)\b/i;
+const OFF_FORM_REGION = "header, nav, footer, aside, [role=navigation], [role=banner], [role=contentinfo]";
+const MIN_BUTTON_SCORE = 1;
+
+function buttonText(el) {
+  return (el?.textContent || el?.value || el?.getAttribute("aria-label") || "").trim();
+}
+
+// Finds the button that moves the form forward and classifies it as "next" (another
+// page follows) or "submit" (final action that sends the application). Every visible,
+// enabled candidate is scored (see scoreButton) and the best one wins; on a tie "next"
+// beats "submit", since a held submit costs the user a click but a missed step stalls.
 function findNextButton() {
-  const candidates = [...document.querySelectorAll("button, input[type=submit], input[type=button], a[role=button]")];
-  const nextKw   = ["next", "continue", "suivant", "weiter", "siguiente", "proceed", "forward"];
-  const submitKw = ["submit", "send", "envoyer", "senden", "enviar", "finish", "done"];
+  const form = activeForm();
+  const lastField = form ? [...form.querySelectorAll(FIELD_SELECTOR)].filter(isFillable).pop() : null;
+  let best = null;
+  for (const el of querySelectorAllDeep("button, input[type=submit], input[type=button], a[role=button], [role=button]")) {
+    if (el.disabled || el.getAttribute("aria-disabled") === "true" || !isVisible(el)) continue;
+    const scored = scoreButton(el, form, lastField);
+    if (!scored || scored.score < MIN_BUTTON_SCORE) continue;
+    if (!best || scored.score > best.score || (scored.score === best.score && scored.kind === "next" && best.kind === "submit")) {
+      best = { el, ...scored };
+    }
+  }
+  return best ? { el: best.el, kind: best.kind } : null;
+}
+
+// { kind, score } for a button that could move the form on, or null. Whole-word matches
+// only ("Next", not "Nextdoor"), with points for a short label that is just the keyword,
+// being a submit control, sitting in the form being filled and coming after its fields.
+function scoreButton(el, form, lastField) {
+  const text = clip(buttonText(el), 80).toLowerCase();
+  const words = text.split(/[^\p{L}]+/u).filter(Boolean);
+  // <button> defaults to type=submit, but only submits when it belongs to a form
+  const isSubmitControl = el.tagName === "INPUT" ? el.type === "submit"
+    : el.tagName === "BUTTON" && el.type === "submit" && (!!el.form || el.getAttribute("type") === "submit");
+  const inForm = !!form && (el.form === form || form.contains(el));
+
+  if (OFF_FORM_TEXT.test(text)) return null;
+
+  const keyword = NEXT_KW.some(k => words.includes(k)) ? "next"
+    : SUBMIT_KW.some(k => words.includes(k)) ? "submit"
+    : null;
+  // An unlabeled submit in the form is treated as final — better to ask than to send unreviewed
+  if (!keyword && !(isSubmitControl && (inForm || !form))) return null;
+  const kind = keyword || "submit";
 
-  for (const el of candidates) {
-    const text = (el.textContent || el.value || el.getAttribute("aria-label") || "").toLowerCase();
-    if (nextKw.some(k => text.includes(k))) return el;
+  let score = keyword ? 10 : 2;
+  if (words.length <= 3) score += 4;
+  else if (words.length > 5) score -= 4;
+  if (isSubmitControl) score += 3;
+  if (inForm) score += 6;
+  else if (el.closest(OFF_FORM_REGION)) score -= 8;
+  if (lastField && (lastField.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING)) score += 2;
+  return { kind, score };
+}
+
+// The form holding the most fillable fields, or null when fields aren't inside a <form>
+function activeForm() {
+  let best = null;
+  let bestCount = 0;
+  for (const form of querySelectorAllDeep("form")) {
+    const count = [...form.querySelectorAll(ANY_FIELD_SELECTOR)].filter(isFillable).length;
+    if (count > bestCount) {
+      best = form;
+      bestCount = count;
+    }
   }
-  for (const el of candidates) {
-    const text = (el.textContent || el.value || el.getAttribute("aria-label") || "").toLowerCase();
-    if (submitKw.some(k => text.includes(k))) return el;
+  return best;
+}
+
+// Identity of the current step's fields (fingerprint.js, the same as the background's)
+function stepFingerprint() {
+  return formFingerprint(collectFields());
+}
+
+const MAX_BLOCKING_FIELDS = 8;
+
+// Fields holding the step back: flagged invalid by the page, or required and still empty.
+// pageError is the form-level error banner, for when no single field is to blame.
+function blockingReport() {
+  const fields = [];
+  const seen = new Set();
+  for (const field of collectFields()) {
+    const el = querySelectorDeep(field.locator);
+    if (!el) continue;
+    const error = validationError(el);
+    const empty = field.kind === "checkbox" ? !field.checked
+      : field.kind === "radio" ? !radioGroupChecked(el)
+      : !field.value;
+    if (error === null && !(field.required && empty)) continue;
+    const label = field.kind === "radio" ? field.group || field.label : field.label;
+    const key = label || field.locator;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    fields.push({
+      selector: field.locator,
+      label: label || field.name || field.locator,
+      error: error || (empty ? "This field is required." : "The page marked this value as invalid."),
+    });
   }
-  return document.querySelector("input[type=submit]") || null;
+  return { fields: fields.slice(0, MAX_BLOCKING_FIELDS), pageError: pageErrorText() };
+}
+
+function radioGroupChecked(el) {
+  if (!el.name) return el.checked;
+  return !!el.getRootNode().querySelector(`input[type=radio][name="${CSS.escape(el.name)}"]:checked`);
+}
+
+function pageErrorText() {
+  const alert = querySelectorAllDeep("[role=alert], [aria-live=assertive]")
+    .find(node => isVisible(node) && node.innerText.trim());
+  return alert ? clip(alert.innerText, 160) : "";
+}
+
+// True when the click left the same fields on screen
+function stepUnchanged() {
+  return !!stepBefore && stepFingerprint() === stepBefore.fingerprint;
 }
 
 function watchForNextStep() {
   if (mutationObserver) mutationObserver.disconnect();
   waitingForNextStep = true;
+  stepBefore = { fingerprint: stepFingerprint() };
   let debounceTimer = null;
 
   mutationObserver = new MutationObserver((mutations) => {
@@ -152,21 +1118,70 @@ function watchForNextStep() {
     if (!hasNewFields) return;
     clearTimeout(debounceTimer);
     debounceTimer = setTimeout(() => {
+      // Same fields re-rendered (validation messages, a spinner swap): still on this step
+      if (!waitingForNextStep || stepFingerprint() === stepBefore?.fingerprint) return;
       waitingForNextStep = false;
       mutationObserver.disconnect();
-      chrome.runtime.sendMessage({ type: "step_ready", html: document.documentElement.outerHTML });
+      chrome.runtime.sendMessage({ type: "step_ready" });
     }, 400);
   });
 
   mutationObserver.observe(document.body, { childList: true, subtree: true });
+  for (const shadowRoot of collectShadowRoots(document)) {
+    mutationObserver.observe(shadowRoot, { childList: true, subtree: true });
+  }
+
+  // The next step is a new page (Workday, Taleo, …): the background picks the fill up
+  // again once it has loaded, so don't report the form as finished in the meantime
+  window.addEventListener("beforeunload", () => {
+    if (!waitingForNextStep || window !== window.top) return;
+    waitingForNextStep = false;
+    mutationObserver.disconnect();
+    chrome.runtime.sendMessage({ type: "step_navigating" });
+  }, { once: true });
 
-  // Safety timeout: if no new fields in 5 s, assume done
+  // Safety timeout: if no new fields in 5 s, the form either finished (its fields went
+  // away) or didn't move: refused with errors, or the click did nothing visible at all
   setTimeout(() => {
     if (!waitingForNextStep) return;
     waitingForNextStep = false;
     mutationObserver.disconnect();
-    chrome.runtime.sendMessage({ type: "fill_complete" });
+    chrome.runtime.sendMessage(stepUnchanged()
+      ? { type: "step_stuck", ...blockingReport() }
+      : { type: "fill_complete" });
   }, 5000);
 }
 
+// ── Shadow DOM ─────────────────────────────────────────────────────────────────
+
+// Open shadow roots in the document, including nested ones
+function collectShadowRoots(root) {
+  const found = [];
+  for (const el of root.querySelectorAll("*")) {
+    if (!el.shadowRoot) continue;
+    found.push(el.shadowRoot, ...collectShadowRoots(el.shadowRoot));
+  }
+  return found;
+}
+
+// Resolves shadow-piercing locators: "host-selector >>> inner-selector" (chainable)
+function querySelectorDeep(selector) {
+  let root = document;
+  const parts = String(selector).split(">>>").map(p => p.trim());
+  try {
+    for (let i = 0; i < parts.length - 1; i++) {
+      root = root.querySelector(parts[i])?.shadowRoot;
+      if (!root) return null;
+    }
+    return root.querySelector(parts[parts.length - 1]);
+  } catch {
+    return null; // invalid selector from the model
+  }
+}
+
+function querySelectorAllDeep(selector) {
+  const roots = [document, ...collectShadowRoots(document)];
+  return roots.flatMap(root => [...root.querySelectorAll(selector)]);
+}
+
 function delay(ms) { return new Promise(r => setTimeout(r, ms)); }
@@ -0,0 +1,31 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// FINGERPRINT — Which fields a form step has, shared by the page and the worker
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// content.js uses it to tell whether a click moved the form on; background.js to key
+// the mapping cache and to spot a step that came back unchanged. Both must agree, so
+// there is one copy: injected as a classic script ahead of content.js, and imported
+// by the background for its side effect, which is why it publishes on globalThis.
+
+// Identity of a field that survives re-renders: locators can change, labels rarely do.
+// Values are left out, so filling a step doesn't change its fingerprint.
+function fieldIdentity(field) {
+  const norm = (text) => String(text || "").toLowerCase().replace(/\s+/g, " ").trim();
+  return [field.kind, field.type, field.name, norm(field.label), norm(field.group)].map(norm).join("|");
+}
+
+// FNV-1a; only needs to tell layouts apart, not resist collisions on purpose
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+function formFingerprint(fields) {
+  return hashString([...new Set(fields.map(fieldIdentity))].sort().join("\n"));
+}
+
+Object.assign(globalThis, { fieldIdentity, hashString, formFingerprint });
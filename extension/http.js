@@ -0,0 +1,118 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// HTTP — Timeouts, retries and cancellation for calls to the Vaulty server
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// request() is fetch() plus: a per-attempt timeout, exponential backoff with jitter
+// for network errors and 5xx, a wait on 429 when Retry-After is short, and an
+// optional AbortSignal so the caller can cancel. Non-retryable responses (4xx, or a
+// 5xx/429 after the last attempt) are returned as-is for the caller to read.
+// Only idempotent methods retry by default: a POST whose response was lost may have
+// worked (a rotated refresh token, a fill counted against the daily limit). A 429 with a
+// short Retry-After is waited out for any method, since the server turned it away first.
+
+export const DEFAULT_TIMEOUT_MS = 20000;
+export const DEFAULT_RETRIES = 2;
+
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+// Longer waits (a daily limit resetting at midnight) are reported instead of waited out
+const MAX_RETRY_AFTER_MS = 30000;
+
+export const TIMEOUT_MESSAGE = "The server took too long to respond. Please try again.";
+export const NETWORK_MESSAGE = "Couldn't reach the server. Check your connection and try again.";
+
+export class RequestCancelledError extends Error {
+  constructor() {
+    super("Cancelled.");
+    this.name = "RequestCancelledError";
+  }
+}
+
+export function isCancelled(err) {
+  return err?.name === "RequestCancelledError";
+}
+
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+// `timeoutMs` applies to each attempt; `retries` is the number of extra attempts.
+export async function request(url, { timeoutMs = DEFAULT_TIMEOUT_MS, retries, signal, ...init } = {}) {
+  retries ??= IDEMPOTENT_METHODS.includes((init.method || "GET").toUpperCase()) ? DEFAULT_RETRIES : 0;
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw new RequestCancelledError();
+    const last = attempt >= retries;
+
+    let res;
+    try {
+      res = await fetchWithTimeout(url, init, timeoutMs, signal);
+    } catch (err) {
+      if (isCancelled(err) || err.name === "TimeoutError" || last) throw err;
+      await wait(backoff(attempt), signal);
+      continue;
+    }
+
+    if (res.status === 429 && attempt < Math.max(retries, DEFAULT_RETRIES)) {
+      const delay = retryAfterMs(res);
+      if (delay === null || delay > MAX_RETRY_AFTER_MS) return res;
+      await wait(delay, signal);
+      continue;
+    }
+    if (last) return res;
+    if (res.status >= 500) {
+      await wait(retryAfterMs(res) ?? backoff(attempt), signal);
+      continue;
+    }
+    return res;
+  }
+}
+
+async function fetchWithTimeout(url, init, timeoutMs, signal) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort);
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (err) {
+    if (signal?.aborted) throw new RequestCancelledError();
+    if (timedOut) throw Object.assign(new Error(TIMEOUT_MESSAGE), { name: "TimeoutError" });
+    throw new Error(NETWORK_MESSAGE, { cause: err });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+// Full jitter: a random delay up to the exponential cap, so clients don't retry in step
+function backoff(attempt) {
+  return Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempt + 1));
+}
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(res) {
+  const header = res.headers.get("Retry-After");
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new RequestCancelledError());
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new RequestCancelledError());
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
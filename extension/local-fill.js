@@ -0,0 +1,146 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// LOCAL FILL — Deterministic field matcher, no server round-trip
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Maps inventory fields to profile values using the HTML autocomplete tokens first,
+// then name/label/placeholder patterns in English, French, Spanish, German and
+// Portuguese. Covers standard contact and address fields; anything it isn't sure
+// about is left for the AI.
+
+// autocomplete token -> flattened profile key
+const AUTOCOMPLETE_KEYS = {
+  "given-name": "firstName",
+  "family-name": "lastName",
+  "name": "fullName",
+  "email": "email",
+  "tel": "phone",
+  "tel-national": "phone",
+  "street-address": "address.street",
+  "address-line1": "address.street",
+  "address-line2": "address.street2",
+  "address-level2": "address.city",
+  "address-level1": "address.state",
+  "postal-code": "address.zipCode",
+  "country-name": "address.country",
+  "country": "address.country",
+  "url": "website",
+};
+
+// Checked in order, so the more specific patterns come first
+const PATTERN_KEYS = [
+  ["linkedIn",        /linked.?in/i],
+  ["email",           /e.?mail|courriel|correo/i],
+  ["address.street2", /address.?(line)?.?2|street.?2|\bapt\b|apartment|suite|compl[ée]ment d.?adresse|adresszusatz/i],
+  ["address.zipCode", /\bzip|postal|post.?code|code postal|c[óo]digo postal|\bplz\b|\bcep\b/i],
+  ["address.city",    /\bcity\b|\btown\b|\bville\b|ciudad|\bstadt\b|cidade|\bort\b/i],
+  ["address.state",   /\bstate\b|province|r[ée]gion|[ée]tat|provincia|bundesland|estado/i],
+  ["address.country", /country|\bpays\b|pa[íi]s\b|\bland\b/i],
+  ["address.street",  /address.?(line)?.?1|street|^address$|adresse|direcci[óo]n|stra(ß|ss)e|endere[çc]o/i],
+  ["firstName",       /first.?name|given.?name|\bfname\b|forename|pr[ée]nom|vorname|primeiro nome|^nombre$/i],
+  ["lastName",        /last.?name|family.?name|surname|\blname\b|^nom$|nom de famille|apellido|nachname|sobrenome/i],
+  ["fullName",        /full.?name|^name$|your name|nom complet|nombre completo|vollst[äa]ndiger name|nome completo/i],
+  ["phone",           /phone|mobile|\btel\b|t[ée]l[ée]phone|tel[ée]fono|telefon|celular|\bhandy\b/i],
+  ["website",         /website|portfolio|personal.?(site|url)|site web|sitio web/i],
+];
+
+// Labels that ask about someone other than the applicant
+const OTHER_PERSON = /emergency|reference|referr|recruiter|manager|supervisor|spouse|parent|guardian|company|employer|school|university/i;
+
+const LOCAL_KINDS = ["input", "textarea", "select", "combobox"];
+const MAX_HINT_WORDS = 6;
+
+// Flattened view of the profile that profile keys refer to. Must match flattenProfile
+// in web/app/api/agent/fill/route.ts, whose keys come back in server mappings.
+export function flattenProfile(profile) {
+  const flat = {};
+  for (const [key, value] of Object.entries(profile || {})) {
+    if (key === "updatedAt") continue;
+    if (Array.isArray(value)) {
+      // Lists of strings (skills) read as one value; lists of entries (experience) are numbered
+      if (value.every(v => typeof v !== "object" || v === null)) {
+        const joined = value.filter(Boolean).join(", ");
+        if (joined) flat[key] = joined;
+      } else {
+        value.forEach((entry, i) => {
+          for (const [subKey, subValue] of Object.entries(entry ?? {})) {
+            if (subValue) flat[`${key}.${i}.${subKey}`] = String(subValue);
+          }
+        });
+      }
+    } else if (typeof value === "object" && value !== null) {
+      for (const [subKey, subValue] of Object.entries(value)) {
+        if (subValue) flat[`${key}.${subKey}`] = String(subValue);
+      }
+    } else if (value) {
+      flat[key] = String(value);
+    }
+  }
+  if (profile?.firstName && profile?.lastName) {
+    flat.fullName = `${profile.firstName} ${profile.lastName}`;
+  }
+  return flat;
+}
+
+// Splits fields into a mapping the local rules can answer and the fields left over.
+export function localMapping(fields, profile) {
+  const flat = flattenProfile(profile);
+  const mapping = [];
+  const remaining = [];
+  for (const field of fields) {
+    const profileKey = matchProfileKey(field);
+    const value = profileKey ? flat[profileKey] : undefined;
+    if (!value || field.value) {
+      remaining.push(field);
+      continue;
+    }
+    mapping.push({
+      selector: field.locator,
+      value,
+      type: field.kind,
+      frameId: field.frameId ?? 0,
+      profileKey,
+    });
+  }
+  return { mapping, remaining };
+}
+
+function matchProfileKey(field) {
+  if (!LOCAL_KINDS.includes(field.kind)) return null;
+
+  const fromAutocomplete = autocompleteKey(field.autocomplete);
+  if (fromAutocomplete) return fromAutocomplete;
+
+  const described = [field.label, field.group].filter(Boolean).join(" ");
+  if (OTHER_PERSON.test(described)) return null;
+
+  if (field.type === "email") return "email";
+  if (field.type === "tel") return "phone";
+
+  for (const text of [field.name, field.label, field.placeholder]) {
+    const clean = normalizeHint(text);
+    // Long labels are questions ("How did you hear about us — LinkedIn, …?"), not field names
+    if (!clean || clean.split(" ").length > MAX_HINT_WORDS) continue;
+    const match = PATTERN_KEYS.find(([, pattern]) => pattern.test(clean));
+    if (match) return match[0];
+  }
+  return null;
+}
+
+// "shipping address-line1" / "section-work email" -> the token we know, if any
+function autocompleteKey(autocomplete) {
+  if (!autocomplete) return null;
+  const tokens = autocomplete.toLowerCase().split(/\s+/);
+  if (tokens.includes("off") || tokens.includes("work") || tokens.includes("billing")) return null;
+  const token = tokens.find(t => AUTOCOMPLETE_KEYS[t]);
+  return token ? AUTOCOMPLETE_KEYS[token] : null;
+}
+
+// "applicant[first_name]" / "firstName" / "First name *" -> "applicant first name" / "first name"
+function normalizeHint(text) {
+  return String(text || "")
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .replace(/[_\-[\]*:]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
@@ -1,7 +1,40 @@
-const API_BASE_DEFAULT = "https://agent.vaulty.ca";
+import {
+  DEFAULT_LOCK_MINUTES,
+  VAULT_KEYS,
+  disableVault,
+  enableVault,
+  getSecure,
+  lockVault,
+  resetVault,
+  setLockMinutes,
+  setSecure,
+  unlockVault,
+  vaultStatus,
+} from "./vault.js";
+import {
+  DEFAULT_API_BASE,
+  clearSession,
+  fetchWithAuth,
+  getAccessToken,
+  getApiBase,
+  refreshSession,
+  saveSession,
+} from "./auth.js";
+import { request } from "./http.js";
+
 const AGENT_NAME_DEFAULT = "Agent";
 const ACCENT_COLOR_DEFAULT = "#6366f1";
-const PROFILE_KEY = "userProfile";
+const PROFILE_KEY = "userProfile"; // single profile saved before named profiles existed
+const PROFILES_KEY = "profiles";
+const ACTIVE_PROFILE_KEY = "activeProfileId";
+const SITE_PROFILES_KEY = "siteProfiles";
+const DOCUMENTS_KEY = "documents";
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+const MAPPING_CACHE_KEY = "mappingCache";
+const FILL_HISTORY_KEY = "fillHistory";
+const EXTERNAL_ORIGINS_KEY = "externalOrigins";
+const PAIRING_KEY = "externalPairing";
+const JOB_QUEUE_KEY = "jobQueue";
 
 function uid() {
   return Math.random().toString(16).slice(2) + Date.now().toString(16);
@@ -10,7 +43,7 @@ function uid() {
 async function postJSON(url, body, token) {
   const headers = { "Content-Type": "application/json" };
   if (token) headers["Authorization"] = `Bearer ${token}`;
-  const res = await fetch(url, {
+  const res = await request(url, {
     method: "POST",
     headers,
     body: JSON.stringify(body),
@@ -22,11 +55,6 @@ async function postJSON(url, body, token) {
   return res.json().catch(() => ({}));
 }
 
-async function getApiBase() {
-  const { apiBase } = await chrome.storage.local.get(["apiBase"]);
-  return apiBase || API_BASE_DEFAULT;
-}
-
 // ── Auth ──────────────────────────────────────────────────────────────────────
 
 function showAuthScreen() {
@@ -56,7 +84,7 @@ function setAuthErrorHtml(html) {
 async function validateToken(token) {
   try {
     const apiBase = await getApiBase();
-    const res = await fetch(`${apiBase}/api/auth/me`, {
+    const res = await request(`${apiBase}/api/auth/me`, {
       headers: { Authorization: `Bearer ${token}` },
     });
     return res.ok;
@@ -65,47 +93,19 @@ async function validateToken(token) {
   }
 }
 
-async function tryRefresh() {
-  const { refreshToken } = await chrome.storage.local.get(["refreshToken"]);
-  if (!refreshToken) return false;
-  try {
-    const apiBase = await getApiBase();
-    const res = await fetch(`${apiBase}/api/auth/refresh`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ refreshToken }),
-    });
-    if (!res.ok) return false;
-    const data = await res.json();
-    await chrome.storage.local.set({
-      authToken: data.accessToken,
-      refreshToken: data.refreshToken,
-      authTokenExpiry: data.expiresAt,
-    });
-    return true;
-  } catch {
-    return false;
-  }
-}
-
 async function initAuth() {
-  const { authToken } = await chrome.storage.local.get(["authToken"]);
+  const authToken = await getAccessToken();
   if (!authToken) {
     showAuthScreen();
     return;
   }
-  const valid = await validateToken(authToken);
-  if (valid) {
-    showMainApp();
-    return;
-  }
-  const refreshed = await tryRefresh();
-  if (refreshed) {
-    showMainApp();
-  } else {
-    await chrome.storage.local.remove(["authToken", "refreshToken", "authTokenExpiry", "authUser"]);
-    showAuthScreen();
+  if (!(await validateToken(authToken))) {
+    // Signs out only if the server rejects the refresh token; offline keeps the session
+    await refreshSession(authToken);
   }
+  const { authToken: current } = await getSecure(["authToken"]);
+  if (current) showMainApp();
+  else showAuthScreen();
 }
 
 document.getElementById("auth-consent-check")?.addEventListener("change", (e) => {
@@ -135,8 +135,10 @@ document.getElementById("auth-submit")?.addEventListener("click", async () => {
 
   try {
     const apiBase = await getApiBase();
-    const res = await fetch(`${apiBase}/api/auth/login`, {
+    // No automatic retries: each attempt counts against the login rate limit
+    const res = await request(`${apiBase}/api/auth/login`, {
       method: "POST",
+      retries: 0,
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({ email, password }),
     });
@@ -153,12 +155,7 @@ document.getElementById("auth-submit")?.addEventListener("click", async () => {
       return;
     }
 
-    await chrome.storage.local.set({
-      authToken: data.accessToken,
-      refreshToken: data.refreshToken,
-      authTokenExpiry: data.expiresAt,
-      authUser: data.user,
-    });
+    await saveSession(data);
 
     showMainApp();
     await loadProfile();
@@ -176,26 +173,29 @@ document.getElementById("auth-password")?.addEventListener("keydown", (e) => {
 });
 
 document.getElementById("auth-logout")?.addEventListener("click", async () => {
-  const { authToken } = await chrome.storage.local.get(["authToken"]);
+  const { authToken } = await getSecure(["authToken"]);
   if (authToken) {
     try {
       const apiBase = await getApiBase();
-      await fetch(`${apiBase}/api/auth/logout`, {
+      await request(`${apiBase}/api/auth/logout`, {
         method: "POST",
+        retries: 0,
         headers: { Authorization: `Bearer ${authToken}` },
       });
     } catch { /* best-effort */ }
   }
-  await chrome.storage.local.remove(["authToken", "refreshToken", "authTokenExpiry", "authUser"]);
+  await clearSession();
   showAuthScreen();
 });
 
+// Signed out from any context (sign out, rejected refresh, vault reset)
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.authToken && !changes.authToken.newValue) showAuthScreen();
+});
+
 // Listen for background script events
 chrome.runtime.onMessage.addListener((msg) => {
-  if (msg.type === "AUTH_EXPIRED") {
-    chrome.storage.local.remove(["authToken", "refreshToken", "authTokenExpiry", "authUser"]);
-    showAuthScreen();
-  }
+  if (msg.type === "AUTH_EXPIRED") showAuthScreen();
   if (msg.type === "RATE_LIMITED") {
     setFillStatus("error", msg.message || "Daily limit reached. Try again tomorrow.");
   }
@@ -301,6 +301,81 @@ chrome.storage.onChanged.addListener((changes, area) => {
   }
 });
 
+// Chat: the background keeps one conversation per tab ("copilotChat:<tabId>" in session
+// storage) and writes the answer there; the panel shows the active tab's conversation.
+
+const COPILOT_CHAT_PREFIX = "copilotChat:";
+// A question still unanswered after this long was lost (the worker restarted)
+const COPILOT_PENDING_MS = 90000;
+
+async function copilotTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id || tab.url?.startsWith("chrome://") || tab.url?.startsWith("chrome-extension://")) return null;
+  return tab;
+}
+
+async function renderCopilotChat() {
+  const list = document.getElementById("copilot-chat");
+  if (!list) return;
+  const tab = await copilotTab();
+  const key = `${COPILOT_CHAT_PREFIX}${tab?.id}`;
+  const chat = tab ? (await chrome.storage.session.get([key]))[key] : null;
+  // A conversation about the page the tab has since left starts over on the next question
+  const current = chat && (chat.url || "").split("#")[0] === (tab.url || "").split("#")[0];
+  const messages = current ? chat.messages : [];
+  const pending = current && chat.pendingSince && Date.now() - chat.pendingSince < COPILOT_PENDING_MS;
+
+  list.innerHTML = messages
+    .map((m) => `<div class="copilot-message ${m.role}">${escapeHtml(m.content)}</div>`)
+    .join("") + (pending ? `<div class="copilot-message assistant pending">Reading the page…</div>` : "");
+  document.getElementById("copilot-ask").disabled = !!pending;
+  if (messages.length > 0) {
+    document.querySelector(".copilot-action-wrap")?.classList.add("has-content");
+    list.lastElementChild?.scrollIntoView({ block: "nearest" });
+  }
+}
+
+async function askCopilot() {
+  const input = document.getElementById("copilot-question");
+  const question = input.value.trim();
+  if (!question) return;
+  const tab = await copilotTab();
+  if (!tab) {
+    showStatusMsg("copilotStatus", "Cannot read this page.", false);
+    return;
+  }
+  input.value = "";
+  document.getElementById("copilot-ask").disabled = true;
+  const res = await chrome.runtime.sendMessage({ type: "COPILOT_ASK", tabId: tab.id, question }).catch(() => null);
+  if (!res?.ok) {
+    input.value = question;
+    showStatusMsg("copilotStatus", res?.error || "Could not send your question. Please try again.", false);
+    renderCopilotChat();
+  }
+}
+
+document.getElementById("copilot-ask")?.addEventListener("click", askCopilot);
+document.getElementById("copilot-question")?.addEventListener("keydown", (e) => {
+  if (e.key === "Enter" && !e.shiftKey) {
+    e.preventDefault();
+    if (!document.getElementById("copilot-ask").disabled) askCopilot();
+  }
+});
+document.getElementById("copilot-new-chat")?.addEventListener("click", async () => {
+  const tab = await copilotTab();
+  if (tab) await chrome.runtime.sendMessage({ type: "COPILOT_CHAT_RESET", tabId: tab.id }).catch(() => null);
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "session" && Object.keys(changes).some((key) => key.startsWith(COPILOT_CHAT_PREFIX))) {
+    renderCopilotChat();
+  }
+});
+chrome.tabs.onActivated.addListener(() => renderCopilotChat());
+chrome.tabs.onUpdated.addListener((_tabId, changeInfo, tab) => {
+  if (changeInfo.url && tab.active) renderCopilotChat();
+});
+
 // ── Profile tab ───────────────────────────────────────────────────────────────
 
 function populateProfileForm(profile) {
@@ -327,31 +402,318 @@ function populateProfileForm(profile) {
 
   set("profile-linkedIn", profile.linkedIn);
   set("profile-website", profile.website);
+
+  renderRepeatable("experience", profile.experience || []);
+  renderRepeatable("education", profile.education || []);
+  set("profile-skills", (profile.skills || []).join(", "));
+  set("profile-languages", (profile.languages || []).join(", "));
+
+  set("profile-workAuthorization", profile.workAuthorization);
+  set("profile-requiresSponsorship", profile.requiresSponsorship);
+  set("profile-willingToRelocate", profile.willingToRelocate);
+  set("profile-noticePeriod", profile.noticePeriod);
+  set("profile-desiredSalary", profile.desiredSalary);
+  set("profile-referralSource", profile.referralSource);
+}
+
+// ── Experience & education ──
+
+// Field layout of each repeatable entry; "month" inputs store YYYY-MM
+const REPEATABLE_SECTIONS = {
+  experience: {
+    title: "Position",
+    fields: [
+      { key: "company", label: "Company", placeholder: "Acme Inc." },
+      { key: "title", label: "Title", placeholder: "Software Engineer" },
+      { key: "location", label: "Location", placeholder: "Remote" },
+      { key: "startDate", label: "Start", type: "month", row: true },
+      { key: "endDate", label: "End", type: "month", row: true },
+      { key: "current", label: "I currently work here", type: "checkbox" },
+      { key: "description", label: "Description", type: "textarea", placeholder: "What you did and achieved" },
+    ],
+  },
+  education: {
+    title: "Education",
+    fields: [
+      { key: "school", label: "School", placeholder: "State University" },
+      { key: "degree", label: "Degree", placeholder: "B.Sc." },
+      { key: "field", label: "Field of Study", placeholder: "Computer Science" },
+      { key: "startDate", label: "Start", type: "month", row: true },
+      { key: "endDate", label: "End", type: "month", row: true },
+      { key: "gpa", label: "GPA", placeholder: "3.8" },
+    ],
+  },
+};
+
+function repeatableInput(field, value) {
+  const id = `data-entry-key="${field.key}"`;
+  if (field.type === "checkbox") {
+    return `<label class="checkbox"><input type="checkbox" ${id} ${value ? "checked" : ""} /> ${escapeHtml(field.label)}</label>`;
+  }
+  const control = field.type === "textarea"
+    ? `<textarea class="input" ${id} placeholder="${escapeHtml(field.placeholder || "")}">${escapeHtml(value || "")}</textarea>`
+    : `<input class="input" type="${field.type || "text"}" ${id} value="${escapeHtml(value || "")}" placeholder="${escapeHtml(field.placeholder || "")}" />`;
+  return `<label class="label">${escapeHtml(field.label)}</label>${control}`;
+}
+
+function renderRepeatable(section, entries) {
+  const list = document.getElementById(`${section}-list`);
+  if (!list) return;
+  const { title, fields } = REPEATABLE_SECTIONS[section];
+  list.innerHTML = entries.map((entry, i) => {
+    const rowFields = fields.filter((f) => f.row);
+    const html = fields.filter((f) => !f.row).map((f) => repeatableInput(f, entry[f.key]));
+    // Start/end dates sit side by side after the third field
+    html.splice(3, 0, `<div class="row">${rowFields
+      .map((f) => `<div class="field">${repeatableInput(f, entry[f.key])}</div>`)
+      .join("")}</div>`);
+    return `
+      <div class="entry-card" data-entry-index="${i}">
+        <div class="entry-header">
+          <span>${escapeHtml(title)} ${i + 1}</span>
+          <button class="btn-icon danger" data-remove-entry="${i}">Remove</button>
+        </div>
+        ${html.join("")}
+      </div>`;
+  }).join("");
+
+  list.querySelectorAll("[data-remove-entry]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const remaining = readRepeatable(section).filter((_, i) => i !== Number(btn.dataset.removeEntry));
+      renderRepeatable(section, remaining);
+    });
+  });
+}
+
+// Entries as typed; pass keepBlank: false to drop entries with nothing filled in
+function readRepeatable(section, { keepBlank = true } = {}) {
+  const list = document.getElementById(`${section}-list`);
+  if (!list) return [];
+  const entries = [...list.querySelectorAll(".entry-card")].map((card) => {
+    const entry = {};
+    card.querySelectorAll("[data-entry-key]").forEach((el) => {
+      const value = el.type === "checkbox" ? el.checked : el.value.trim();
+      if (value) entry[el.dataset.entryKey] = value;
+    });
+    if (entry.current) delete entry.endDate;
+    return entry;
+  });
+  return keepBlank ? entries : entries.filter((e) => Object.keys(e).length > 0);
+}
+
+for (const section of Object.keys(REPEATABLE_SECTIONS)) {
+  const button = document.getElementById(`add${section[0].toUpperCase()}${section.slice(1)}`);
+  button?.addEventListener("click", () => {
+    renderRepeatable(section, [...readRepeatable(section), {}]);
+  });
+}
+
+function splitList(text) {
+  return text.split(",").map((s) => s.trim()).filter(Boolean);
 }
 
 async function loadProfile() {
-  // Try fetching from server first; fall back to local cache
+  // Server copy wins when signed in; fall back to the local cache
   try {
     const apiBase = await getApiBase();
-    const { authToken } = await chrome.storage.local.get(["authToken"]);
+    const { authToken } = await getSecure(["authToken"]);
     if (authToken) {
-      const res = await fetch(`${apiBase}/api/profile`, {
-        headers: { Authorization: `Bearer ${authToken}` },
-      });
+      const res = await fetchWithAuth(`${apiBase}/api/profile`);
       if (res.ok) {
         const data = await res.json();
-        const profile = data.profile || {};
-        await chrome.storage.local.set({ [PROFILE_KEY]: profile });
-        populateProfileForm(profile);
-        return;
+        if (data.profiles?.length) {
+          // A switch made here that hasn't reached the server yet still stands
+          const { [ACTIVE_PROFILE_KEY]: localActiveId } = await getSecure([ACTIVE_PROFILE_KEY]);
+          const activeId = [localActiveId, data.activeProfileId].find((id) => data.profiles.some((p) => p.id === id));
+          await writeProfiles(data.profiles, activeId || data.profiles[0].id);
+        } else if (data.profile && Object.keys(data.profile).length) {
+          // Account synced before named profiles: its profile becomes the default one
+          const local = await getSecure([PROFILES_KEY]);
+          if (!local[PROFILES_KEY]?.length) await setSecure({ [PROFILE_KEY]: data.profile });
+        }
       }
     }
   } catch { /* server unreachable, use cache */ }
 
-  const data = await chrome.storage.local.get([PROFILE_KEY]);
-  populateProfileForm(data[PROFILE_KEY] || {});
+  await showActiveProfile();
+}
+
+// ── Profiles ──────────────────────────────────────────────────────────────────
+// Named profiles are stored as [{ id, name, profile, updatedAt }]; the Profile tab
+// edits the active one, and siteProfiles ({ hostname: profileId }) pins one per site.
+
+function newProfileEntry(name, profile = {}) {
+  return { id: uid(), name, profile, updatedAt: new Date().toISOString() };
+}
+
+async function readProfiles() {
+  const data = await getSecure([PROFILES_KEY, ACTIVE_PROFILE_KEY, PROFILE_KEY]);
+  let profiles = data[PROFILES_KEY] || [];
+  let activeProfileId = data[ACTIVE_PROFILE_KEY];
+  // One-time upgrade of the single profile saved before named profiles existed
+  if (profiles.length === 0) {
+    profiles = [newProfileEntry("Default", data[PROFILE_KEY] || {})];
+    activeProfileId = profiles[0].id;
+    await writeProfiles(profiles, activeProfileId);
+    await chrome.storage.local.remove(PROFILE_KEY);
+  }
+  if (!profiles.some((p) => p.id === activeProfileId)) activeProfileId = profiles[0].id;
+  return { profiles, activeProfileId };
+}
+
+async function writeProfiles(profiles, activeProfileId) {
+  await setSecure({ [PROFILES_KEY]: profiles, [ACTIVE_PROFILE_KEY]: activeProfileId });
+}
+
+// Push the profile list to the server. Returns false when signed out (nothing to sync).
+async function syncProfiles(profiles, activeProfileId) {
+  const { authToken } = await getSecure(["authToken"]);
+  if (!authToken) return false;
+  const apiBase = await getApiBase();
+  const res = await fetchWithAuth(`${apiBase}/api/profile`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ profiles, activeProfileId }),
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.message || "Could not save profile.");
+  }
+  return true;
+}
+
+async function saveProfiles(profiles, activeProfileId, successMsg) {
+  await writeProfiles(profiles, activeProfileId);
+  try {
+    const synced = await syncProfiles(profiles, activeProfileId);
+    showStatusMsg("profileStatus", synced ? successMsg : `${successMsg} (saved locally, not signed in)`, true);
+  } catch (err) {
+    showStatusMsg("profileStatus", err.message || "Saved locally. Server sync failed.", false);
+  }
+}
+
+// Makes another profile the active one, here and on the server
+async function switchProfile(profileId) {
+  const { profiles } = await readProfiles();
+  await writeProfiles(profiles, profileId);
+  try {
+    await syncProfiles(profiles, profileId);
+  } catch (err) {
+    showStatusMsg("profileStatus", err.message || "Switched locally. Server sync failed.", false);
+  }
+  await showActiveProfile();
+}
+
+async function showActiveProfile() {
+  const { profiles, activeProfileId } = await readProfiles();
+  const active = profiles.find((p) => p.id === activeProfileId);
+  const switcher = document.getElementById("profile-switcher");
+  if (switcher) {
+    switcher.innerHTML = profiles
+      .map((p) => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`)
+      .join("");
+    switcher.value = activeProfileId;
+  }
+  const nameEl = document.getElementById("profile-name");
+  if (nameEl) nameEl.value = active.name;
+  populateProfileForm(active.profile || {});
+  await renderApplyProfile();
+}
+
+document.getElementById("profile-switcher")?.addEventListener("change", (e) => switchProfile(e.target.value));
+
+document.getElementById("newProfile")?.addEventListener("click", async () => {
+  const { profiles } = await readProfiles();
+  const entry = newProfileEntry(`Profile ${profiles.length + 1}`);
+  await saveProfiles([...profiles, entry], entry.id, "Profile created.");
+  await showActiveProfile();
+});
+
+document.getElementById("duplicateProfile")?.addEventListener("click", async () => {
+  const { profiles, activeProfileId } = await readProfiles();
+  const source = profiles.find((p) => p.id === activeProfileId);
+  const entry = newProfileEntry(`${source.name} (copy)`, structuredClone(source.profile || {}));
+  await saveProfiles([...profiles, entry], entry.id, "Profile duplicated.");
+  await showActiveProfile();
+});
+
+document.getElementById("deleteProfile")?.addEventListener("click", async () => {
+  const { profiles, activeProfileId } = await readProfiles();
+  if (profiles.length === 1) {
+    showStatusMsg("profileStatus", "You need at least one profile. Use Clear All to empty it.", false);
+    return;
+  }
+  const active = profiles.find((p) => p.id === activeProfileId);
+  if (!confirm(`Delete the profile "${active.name}"?`)) return;
+
+  const remaining = profiles.filter((p) => p.id !== activeProfileId);
+  const data = await chrome.storage.local.get([SITE_PROFILES_KEY]);
+  const siteProfiles = data[SITE_PROFILES_KEY] || {};
+  for (const [host, id] of Object.entries(siteProfiles)) {
+    if (id === activeProfileId) delete siteProfiles[host];
+  }
+  await chrome.storage.local.set({ [SITE_PROFILES_KEY]: siteProfiles });
+  await saveProfiles(remaining, remaining[0].id, "Profile deleted.");
+  await showActiveProfile();
+});
+
+// ── Apply tab profile picker ──
+
+async function activeTabHost() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  try {
+    const url = new URL(tab?.url || "");
+    return url.protocol.startsWith("http") ? url.hostname : "";
+  } catch {
+    return "";
+  }
+}
+
+// Shows the profile a fill on the current tab would use: the site's pinned one, else the active one.
+async function renderApplyProfile() {
+  const select = document.getElementById("apply-profile");
+  const toggle = document.getElementById("site-profile-toggle");
+  if (!select || !toggle) return;
+  const { profiles, activeProfileId } = await readProfiles();
+  const host = await activeTabHost();
+  const data = await chrome.storage.local.get([SITE_PROFILES_KEY]);
+  const pinned = data[SITE_PROFILES_KEY]?.[host];
+  const siteProfileId = profiles.some((p) => p.id === pinned) ? pinned : null;
+
+  select.innerHTML = profiles
+    .map((p) => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`)
+    .join("");
+  select.value = siteProfileId || activeProfileId;
+  toggle.checked = !!siteProfileId;
+  toggle.disabled = !host;
+  const hostEl = document.getElementById("site-profile-host");
+  if (hostEl) hostEl.textContent = host || "this site";
 }
 
+async function setSiteProfile(host, profileId) {
+  const data = await chrome.storage.local.get([SITE_PROFILES_KEY]);
+  const siteProfiles = data[SITE_PROFILES_KEY] || {};
+  if (profileId) siteProfiles[host] = profileId;
+  else delete siteProfiles[host];
+  await chrome.storage.local.set({ [SITE_PROFILES_KEY]: siteProfiles });
+}
+
+document.getElementById("apply-profile")?.addEventListener("change", async (e) => {
+  const host = await activeTabHost();
+  if (document.getElementById("site-profile-toggle")?.checked && host) {
+    await setSiteProfile(host, e.target.value);
+    return;
+  }
+  await switchProfile(e.target.value);
+});
+
+document.getElementById("site-profile-toggle")?.addEventListener("change", async (e) => {
+  const host = await activeTabHost();
+  if (!host) return;
+  await setSiteProfile(host, e.target.checked ? document.getElementById("apply-profile").value : null);
+  await renderApplyProfile();
+});
+
 function buildProfileFromForm() {
   const val = (id) => document.getElementById(id)?.value?.trim() || "";
   return {
@@ -372,41 +734,35 @@ function buildProfileFromForm() {
     },
     linkedIn: val("profile-linkedIn"),
     website: val("profile-website"),
+    experience: readRepeatable("experience", { keepBlank: false }),
+    education: readRepeatable("education", { keepBlank: false }),
+    skills: splitList(val("profile-skills")),
+    languages: splitList(val("profile-languages")),
+    workAuthorization: val("profile-workAuthorization"),
+    requiresSponsorship: val("profile-requiresSponsorship"),
+    willingToRelocate: val("profile-willingToRelocate"),
+    noticePeriod: val("profile-noticePeriod"),
+    desiredSalary: val("profile-desiredSalary"),
+    referralSource: val("profile-referralSource"),
   };
 }
 
 document.getElementById("saveProfile")?.addEventListener("click", async () => {
-  const profile = buildProfileFromForm();
   const btn = document.getElementById("saveProfile");
   btn.disabled = true;
   btn.textContent = "Saving…";
 
   try {
-    const apiBase = await getApiBase();
-    const { authToken } = await chrome.storage.local.get(["authToken"]);
-    if (authToken) {
-      const res = await fetch(`${apiBase}/api/profile`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${authToken}`,
-        },
-        body: JSON.stringify({ profile }),
-      });
-      if (!res.ok) {
-        const body = await res.json().catch(() => ({}));
-        throw new Error(body.message || "Could not save profile.");
-      }
-      const data = await res.json();
-      await chrome.storage.local.set({ [PROFILE_KEY]: data.profile || profile });
-      showStatusMsg("profileStatus", "Profile saved!", true);
-    } else {
-      await chrome.storage.local.set({ [PROFILE_KEY]: profile });
-      showStatusMsg("profileStatus", "Profile saved locally (not signed in).", true);
-    }
-  } catch (err) {
-    await chrome.storage.local.set({ [PROFILE_KEY]: profile });
-    showStatusMsg("profileStatus", err.message || "Saved locally. Server sync failed.", false);
+    const { profiles, activeProfileId } = await readProfiles();
+    const name = document.getElementById("profile-name")?.value.trim();
+    const updated = profiles.map((p) => p.id !== activeProfileId ? p : {
+      ...p,
+      name: name || p.name,
+      profile: buildProfileFromForm(),
+      updatedAt: new Date().toISOString(),
+    });
+    await saveProfiles(updated, activeProfileId, "Profile saved!");
+    await showActiveProfile();
   } finally {
     btn.disabled = false;
     btn.textContent = "Save Profile";
@@ -414,20 +770,101 @@ document.getElementById("saveProfile")?.addEventListener("click", async () => {
 });
 
 document.getElementById("clearProfile")?.addEventListener("click", async () => {
-  if (!confirm("Clear all profile data?")) return;
+  if (!confirm("Clear all profiles? This removes every profile and its data.")) return;
   try {
     const apiBase = await getApiBase();
-    const { authToken } = await chrome.storage.local.get(["authToken"]);
+    const { authToken } = await getSecure(["authToken"]);
     if (authToken) {
-      await fetch(`${apiBase}/api/profile`, {
-        method: "DELETE",
-        headers: { Authorization: `Bearer ${authToken}` },
-      });
+      await fetchWithAuth(`${apiBase}/api/profile`, { method: "DELETE" });
     }
   } catch { /* best-effort */ }
-  await chrome.storage.local.remove([PROFILE_KEY]);
-  populateProfileForm({});
-  showStatusMsg("profileStatus", "Profile cleared", true);
+  await chrome.storage.local.remove([PROFILE_KEY, PROFILES_KEY, ACTIVE_PROFILE_KEY, SITE_PROFILES_KEY]);
+  await showActiveProfile();
+  showStatusMsg("profileStatus", "Profiles cleared", true);
+});
+
+// ── Documents ─────────────────────────────────────────────────────────────────
+
+async function loadDocuments() {
+  const data = await getSecure([DOCUMENTS_KEY]);
+  return data[DOCUMENTS_KEY] || [];
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function renderDocuments() {
+  const list = document.getElementById("documents-list");
+  if (!list) return;
+  const documents = await loadDocuments();
+  if (documents.length === 0) {
+    list.innerHTML = `<p class="hint">No documents yet.</p>`;
+    return;
+  }
+  list.innerHTML = documents.map((doc) => `
+    <div class="document-item">
+      <div class="document-info">
+        <div class="document-name">${escapeHtml(doc.name)}</div>
+        <div class="document-meta">${escapeHtml(doc.fileName)} · ${formatBytes(doc.size)}${doc.tags?.length ? ` · ${escapeHtml(doc.tags.join(", "))}` : ""}</div>
+        <div class="document-meta">ID: ${escapeHtml(doc.id)}</div>
+      </div>
+      <button class="btn-icon danger" data-delete-document="${escapeHtml(doc.id)}">Delete</button>
+    </div>`).join("");
+
+  list.querySelectorAll("[data-delete-document]").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      const id = btn.dataset.deleteDocument;
+      const documents = await loadDocuments();
+      await setSecure({ [DOCUMENTS_KEY]: documents.filter((d) => d.id !== id) });
+      renderDocuments();
+    });
+  });
+}
+
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+document.getElementById("addDocument")?.addEventListener("click", async () => {
+  const fileInput = document.getElementById("document-file");
+  const file = fileInput?.files?.[0];
+  if (!file) {
+    showStatusMsg("documentsStatus", "Choose a file first.", false);
+    return;
+  }
+  if (file.size > MAX_DOCUMENT_BYTES) {
+    showStatusMsg("documentsStatus", "Files must be 10 MB or smaller.", false);
+    return;
+  }
+
+  const nameEl = document.getElementById("document-name");
+  const tagsEl = document.getElementById("document-tags");
+  const doc = {
+    id: uid(),
+    name: nameEl.value.trim() || file.name,
+    tags: tagsEl.value.split(",").map((t) => t.trim().toLowerCase()).filter(Boolean),
+    fileName: file.name,
+    mimeType: file.type || "application/octet-stream",
+    size: file.size,
+    data: await readFileAsBase64(file),
+    addedAt: new Date().toISOString(),
+  };
+
+  const documents = await loadDocuments();
+  await setSecure({ [DOCUMENTS_KEY]: [...documents, doc] });
+  nameEl.value = "";
+  tagsEl.value = "";
+  fileInput.value = "";
+  showStatusMsg("documentsStatus", "Document added.", true);
+  renderDocuments();
 });
 
 // ── Settings tab ──────────────────────────────────────────────────────────────
@@ -461,9 +898,12 @@ function applyAgentName(name) {
 }
 
 async function loadSettings() {
-  const data = await chrome.storage.local.get(["apiBase", "agentName", "accentColor"]);
+  const data = await chrome.storage.local.get(["apiBase", "agentName", "accentColor", "fillEngine"]);
   const apiBaseEl = document.getElementById("settings-apiBase");
-  if (apiBaseEl) apiBaseEl.value = data.apiBase || API_BASE_DEFAULT;
+  if (apiBaseEl) apiBaseEl.value = data.apiBase || DEFAULT_API_BASE;
+
+  const fillEngineEl = document.getElementById("settings-fillEngine");
+  if (fillEngineEl) fillEngineEl.value = data.fillEngine || "hybrid";
 
   const agentNameEl = document.getElementById("settings-agentName");
   if (agentNameEl) agentNameEl.value = data.agentName || AGENT_NAME_DEFAULT;
@@ -478,50 +918,785 @@ async function loadSettings() {
 }
 
 document.getElementById("saveSettings")?.addEventListener("click", async () => {
-  const apiBase = document.getElementById("settings-apiBase").value.trim() || API_BASE_DEFAULT;
+  const apiBase = document.getElementById("settings-apiBase").value.trim() || DEFAULT_API_BASE;
   const agentName = document.getElementById("settings-agentName").value.trim() || AGENT_NAME_DEFAULT;
   const accentColor = document.getElementById("settings-accentColor").value || ACCENT_COLOR_DEFAULT;
-  await chrome.storage.local.set({ apiBase, agentName, accentColor });
+  const fillEngine = document.getElementById("settings-fillEngine").value || "hybrid";
+  await chrome.storage.local.set({ apiBase, agentName, accentColor, fillEngine });
   applyAgentName(agentName);
   applyAccentColor(accentColor);
   showStatusMsg("settingsStatus", "Settings saved!", true);
 });
 
+// ── Saved form mappings ───────────────────────────────────────────────────────
+
+async function renderMappingCache() {
+  const list = document.getElementById("mapping-cache-list");
+  if (!list) return;
+  const data = await chrome.storage.local.get([MAPPING_CACHE_KEY]);
+  const cache = data[MAPPING_CACHE_KEY] || {};
+  const records = Object.entries(cache).sort((a, b) => b[1].updatedAt - a[1].updatedAt);
+  if (records.length === 0) {
+    list.innerHTML = `<p class="hint">Nothing saved yet.</p>`;
+    return;
+  }
+  list.innerHTML = records.map(([key, r]) => {
+    const remembered = Object.keys(r.fields || {}).length;
+    return `
+    <div class="cache-item">
+      <div class="cache-info">
+        <div class="cache-domain">${escapeHtml(r.domain)}</div>
+        <div class="cache-meta">${remembered} of ${r.fieldCount} fields remembered · reused ${r.hits || 0}× · ${escapeHtml(new Date(r.updatedAt).toLocaleDateString())}</div>
+      </div>
+      <button class="btn-icon danger" data-delete-mapping="${escapeHtml(key)}">Delete</button>
+    </div>`;
+  }).join("");
+
+  list.querySelectorAll("[data-delete-mapping]").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      const data = await chrome.storage.local.get([MAPPING_CACHE_KEY]);
+      const cache = data[MAPPING_CACHE_KEY] || {};
+      delete cache[btn.dataset.deleteMapping];
+      await chrome.storage.local.set({ [MAPPING_CACHE_KEY]: cache });
+      renderMappingCache();
+    });
+  });
+}
+
+document.getElementById("clearMappingCache")?.addEventListener("click", async () => {
+  if (!confirm("Forget every saved form mapping? Your next fill on each site will use the AI again.")) return;
+  await chrome.storage.local.remove(MAPPING_CACHE_KEY);
+  showStatusMsg("mappingCacheStatus", "Saved mappings cleared.", true);
+  renderMappingCache();
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes[MAPPING_CACHE_KEY]) renderMappingCache();
+});
+
 document.getElementById("settings-accentColor")?.addEventListener("input", (e) => {
   const hexLabel = document.getElementById("settings-accentColorHex");
   if (hexLabel) hexLabel.textContent = e.target.value;
 });
 
 document.getElementById("exportProfile")?.addEventListener("click", async () => {
-  const data = await chrome.storage.local.get([PROFILE_KEY]);
-  const blob = new Blob([JSON.stringify(data[PROFILE_KEY] || {}, null, 2)], {
-    type: "application/json",
+  const { profiles, activeProfileId } = await readProfiles();
+  downloadFile("vaulty-profile.json", "application/json", JSON.stringify({ profiles, activeProfileId }, null, 2));
+});
+
+// Profiles, tokens, documents and fill history are never written to the console
+document.getElementById("viewStorage")?.addEventListener("click", async () => {
+  const data = await chrome.storage.local.get(null);
+  for (const key of VAULT_KEYS) {
+    if (key in data) data[key] = "[hidden]";
+  }
+  console.log("Chrome Storage:", data);
+  alert("Storage logged to console (F12). Profiles, tokens, documents and fill history are hidden.");
+});
+
+// ── Connected sites ───────────────────────────────────────────────────────────
+//
+// Sites the user has paired with (see External access in background.js). Pairing requests
+// arrive in session storage; the panel shows the oldest one until it is allowed or denied.
+
+const EXTERNAL_SCOPE_LABELS = {
+  status: "Status",
+  start: "Start",
+  cancel: "Cancel",
+};
+
+async function readPairingRequests() {
+  const data = await chrome.storage.session.get([PAIRING_KEY]);
+  return data[PAIRING_KEY] || {};
+}
+
+async function renderPairingRequest() {
+  const box = document.getElementById("pairing-box");
+  if (!box) return;
+  const [request] = Object.values(await readPairingRequests()).sort((a, b) => a.requestedAt - b.requestedAt);
+  box.classList.toggle("hidden", !request);
+  if (!request) return;
+  box.dataset.origin = request.origin;
+  document.getElementById("pairing-origin").textContent = request.origin;
+  box.querySelectorAll("[data-pairing-scope]").forEach((input) => {
+    input.checked = request.scopes.includes(input.dataset.pairingScope);
+  });
+}
+
+async function answerPairing(allow) {
+  const box = document.getElementById("pairing-box");
+  const origin = box?.dataset.origin;
+  if (!origin) return;
+  if (allow) {
+    const scopes = [...box.querySelectorAll("[data-pairing-scope]")]
+      .filter((input) => input.checked)
+      .map((input) => input.dataset.pairingScope);
+    const data = await chrome.storage.local.get([EXTERNAL_ORIGINS_KEY]);
+    await chrome.storage.local.set({
+      [EXTERNAL_ORIGINS_KEY]: { ...data[EXTERNAL_ORIGINS_KEY], [origin]: { scopes, pairedAt: Date.now() } },
+    });
+  }
+  const pending = await readPairingRequests();
+  delete pending[origin];
+  await chrome.storage.session.set({ [PAIRING_KEY]: pending });
+}
+
+document.getElementById("pairing-allow")?.addEventListener("click", () => answerPairing(true));
+document.getElementById("pairing-deny")?.addEventListener("click", () => answerPairing(false));
+
+async function renderExternalOrigins() {
+  const list = document.getElementById("external-origins-list");
+  if (!list) return;
+  const data = await chrome.storage.local.get([EXTERNAL_ORIGINS_KEY]);
+  const origins = Object.entries(data[EXTERNAL_ORIGINS_KEY] || {}).sort((a, b) => b[1].pairedAt - a[1].pairedAt);
+  if (origins.length === 0) {
+    list.innerHTML = `<p class="hint">No sites connected.</p>`;
+    return;
+  }
+  list.innerHTML = origins.map(([origin, entry]) => `
+    <div class="cache-item">
+      <div class="cache-info">
+        <div class="cache-domain">${escapeHtml(origin)}</div>
+        <div class="cache-meta">Connected ${escapeHtml(new Date(entry.pairedAt).toLocaleDateString())}</div>
+        <div class="scope-list">
+          ${Object.entries(EXTERNAL_SCOPE_LABELS).map(([scope, label]) => `
+          <label class="checkbox"><input type="checkbox" data-origin-scope="${scope}" data-origin="${escapeHtml(origin)}"${entry.scopes.includes(scope) ? " checked" : ""} /> ${label}</label>`).join("")}
+        </div>
+      </div>
+      <button class="btn-icon danger" data-revoke-origin="${escapeHtml(origin)}">Remove</button>
+    </div>`).join("");
+
+  list.querySelectorAll("[data-origin-scope]").forEach((input) => {
+    input.addEventListener("change", async () => {
+      const data = await chrome.storage.local.get([EXTERNAL_ORIGINS_KEY]);
+      const origins = data[EXTERNAL_ORIGINS_KEY] || {};
+      const entry = origins[input.dataset.origin];
+      if (!entry) return;
+      const scopes = new Set(entry.scopes);
+      if (input.checked) scopes.add(input.dataset.originScope);
+      else scopes.delete(input.dataset.originScope);
+      origins[input.dataset.origin] = { ...entry, scopes: [...scopes] };
+      await chrome.storage.local.set({ [EXTERNAL_ORIGINS_KEY]: origins });
+    });
+  });
+  list.querySelectorAll("[data-revoke-origin]").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      if (!confirm(`Remove ${btn.dataset.revokeOrigin}? It will have to ask again before using Vaulty.`)) return;
+      const data = await chrome.storage.local.get([EXTERNAL_ORIGINS_KEY]);
+      const origins = data[EXTERNAL_ORIGINS_KEY] || {};
+      delete origins[btn.dataset.revokeOrigin];
+      await chrome.storage.local.set({ [EXTERNAL_ORIGINS_KEY]: origins });
+    });
+  });
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes[EXTERNAL_ORIGINS_KEY]) renderExternalOrigins();
+  if (area === "session" && changes[PAIRING_KEY]) renderPairingRequest();
+});
+
+// ── Apply queue ───────────────────────────────────────────────────────────────
+//
+// The background owns the queue ("jobQueue": order and settings) and the job records it
+// points at; the panel only sends queue_add / queue_update and re-renders on changes.
+
+// "URL | title | company" per line; title and company are optional
+function parseQueueLines(text) {
+  return text.split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [jobUrl, jobTitle, company] = line.split("|").map((part) => part.trim());
+      return { jobUrl, ...(jobTitle && { jobTitle }), ...(company && { company }) };
+    });
+}
+
+async function addToQueue() {
+  const input = document.getElementById("queue-input");
+  const jobs = parseQueueLines(input.value);
+  if (jobs.length === 0) {
+    showStatusMsg("queueStatus", "Paste at least one job URL.", false);
+    return;
+  }
+  const mode = document.getElementById("queue-background").checked ? "background" : "live";
+  const res = await chrome.runtime.sendMessage({ type: "queue_add", jobs, mode }).catch(() => null);
+  if (!res) {
+    showStatusMsg("queueStatus", "Couldn't reach the extension. Try again.", false);
+    return;
+  }
+  // Keep the lines that were rejected so they can be fixed
+  const rejected = new Set(res.errors.map((e) => e.index));
+  input.value = input.value.split("\n").map((line) => line.trim()).filter(Boolean)
+    .filter((_, i) => rejected.has(i)).join("\n");
+  if (res.errors.length > 0) {
+    const first = res.errors[0];
+    showStatusMsg("queueStatus", `Line ${first.index + 1}: ${first.error}${res.errors.length > 1 ? ` (and ${res.errors.length - 1} more)` : ""}`, false);
+  } else {
+    showStatusMsg("queueStatus", `Queued ${res.jobIds.length} job${res.jobIds.length === 1 ? "" : "s"}.`);
+  }
+}
+
+async function updateQueue(command, extra = {}) {
+  const res = await chrome.runtime.sendMessage({ type: "queue_update", command, ...extra }).catch(() => null);
+  if (!res?.ok) showStatusMsg("queueStatus", res?.error || "Couldn't update the queue.", false);
+}
+
+// "2026-10-18T09:30" for a datetime-local input, in local time
+function toLocalInputValue(ms) {
+  const date = new Date(ms);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+}
+
+async function renderQueue() {
+  const list = document.getElementById("queue-list");
+  if (!list) return;
+  const data = await chrome.storage.local.get([JOB_QUEUE_KEY, "rateLimitedUntil"]);
+  const queue = { jobIds: [], paused: false, concurrency: 1, dailyCap: 5, startAt: null, started: {}, ...data[JOB_QUEUE_KEY] };
+  const jobs = await chrome.storage.local.get(queue.jobIds.map((id) => `job:${id}`));
+  const entries = queue.jobIds
+    .filter((id) => jobs[`job:${id}`])
+    .map((id) => ({ jobId: id, job: jobs[`job:${id}`], application: applicationFromJob(id, jobs[`job:${id}`]) }));
+
+  // Settings, unless the user is editing them
+  const concurrency = document.getElementById("queue-concurrency");
+  const dailyCap = document.getElementById("queue-daily-cap");
+  const startAt = document.getElementById("queue-start-at");
+  if (document.activeElement !== concurrency) concurrency.value = String(queue.concurrency);
+  if (document.activeElement !== dailyCap) dailyCap.value = String(queue.dailyCap);
+  if (document.activeElement !== startAt) startAt.value = queue.startAt ? toLocalInputValue(queue.startAt) : "";
+  document.getElementById("queue-pause").textContent = queue.paused ? "Resume" : "Pause";
+
+  const count = (statuses) => entries.filter((e) => statuses.includes(e.job.status)).length;
+  const today = new Date().toISOString().slice(0, 10);
+  const startedToday = queue.started.day === today ? queue.started.count : 0;
+  const summary = [
+    `${count(["queued"])} queued`,
+    `${count(["starting", "running", "waiting_for_user", "stopping"])} running`,
+    `${startedToday} of ${queue.dailyCap} started today`,
+  ];
+  if (queue.paused) summary.push("paused");
+  else if (queue.startAt > Date.now()) summary.push(`starts ${new Date(queue.startAt).toLocaleString()}`);
+  else if (data.rateLimitedUntil > Date.now()) summary.push(`daily limit reached until ${new Date(data.rateLimitedUntil).toLocaleString()}`);
+  document.getElementById("queue-summary").textContent = entries.length ? summary.join(" · ") : "";
+
+  if (entries.length === 0) {
+    list.innerHTML = `<p class="hint">The queue is empty.</p>`;
+    return;
+  }
+
+  list.innerHTML = entries.map(({ jobId, job, application: a }) => {
+    const active = ["starting", "running", "waiting_for_user", "stopping"].includes(job.status);
+    const finished = ["done", "error", "stopped", "skipped"].includes(job.status);
+    const meta = [a.status, job.attempts && `retry ${job.attempts}`, job.status === "error" && job.error].filter(Boolean);
+    return `
+    <div class="cache-item">
+      <div class="cache-info">
+        <div class="cache-domain">${escapeHtml(a.company)} — ${escapeHtml(a.jobTitle)}</div>
+        <div class="cache-meta">${escapeHtml(meta.join(" · "))}</div>
+      </div>
+      <div class="queue-actions">
+        ${!finished && job.status !== "stopping" ? `<button class="btn-icon" data-queue-command="skip" data-job-id="${escapeHtml(jobId)}">Skip</button>` : ""}
+        ${finished && !job.submittedAt ? `<button class="btn-icon" data-queue-command="retry" data-job-id="${escapeHtml(jobId)}">Retry</button>` : ""}
+        ${!active ? `<button class="btn-icon danger" data-queue-command="remove" data-job-id="${escapeHtml(jobId)}">Remove</button>` : ""}
+      </div>
+    </div>`;
+  }).join("");
+
+  list.querySelectorAll("[data-queue-command]").forEach((btn) => {
+    btn.addEventListener("click", () => updateQueue(btn.dataset.queueCommand, { jobId: btn.dataset.jobId }));
+  });
+}
+
+document.getElementById("queue-add")?.addEventListener("click", addToQueue);
+document.getElementById("queue-pause")?.addEventListener("click", (e) => {
+  updateQueue(e.currentTarget.textContent === "Resume" ? "resume" : "pause");
+});
+document.getElementById("queue-clear")?.addEventListener("click", () => updateQueue("clear_finished"));
+document.getElementById("queue-concurrency")?.addEventListener("change", (e) => {
+  updateQueue("settings", { settings: { concurrency: Number(e.target.value) } });
+});
+document.getElementById("queue-daily-cap")?.addEventListener("change", (e) => {
+  updateQueue("settings", { settings: { dailyCap: Number(e.target.value) } });
+});
+document.getElementById("queue-start-at")?.addEventListener("change", (e) => {
+  updateQueue("settings", { settings: { startAt: e.target.value ? new Date(e.target.value).getTime() : null } });
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "local") return;
+  if (changes[JOB_QUEUE_KEY] || changes.rateLimitedUntil || Object.keys(changes).some((key) => key.startsWith("job:"))) {
+    renderQueue();
+  }
+});
+
+// ── Applications ──────────────────────────────────────────────────────────────
+//
+// The tracker lists the background's job records ("job:<id>"): jobs started from outside
+// plus manual fills that reached submit. The stage and notes the user sets live on the
+// record under `tracker`; everything else is written by the background.
+
+const APPLICATION_STAGES = {
+  applied: "Applied",
+  interviewing: "Interviewing",
+  offer: "Offer",
+  rejected: "Rejected",
+};
+const APPLICATION_CSV_COLUMNS = ["jobId", "company", "jobTitle", "appliedAt", "status", "stage", "url", "source", "notes"];
+
+async function loadApplications() {
+  const data = await chrome.storage.local.get(null);
+  return Object.entries(data)
+    .filter(([key]) => key.startsWith("job:"))
+    .map(([key, job]) => applicationFromJob(key.slice(4), job))
+    .sort((a, b) => (b.appliedAt || "").localeCompare(a.appliedAt || ""));
+}
+
+function applicationFromJob(jobId, job) {
+  const goal = job.applicationState?.goal || {};
+  return {
+    jobId,
+    company: goal.company || "Unknown Company",
+    jobTitle: goal.jobTitle || "Unknown Position",
+    appliedAt: job.submittedAt || goal.startedAt || "",
+    status: applicationStatus(job),
+    // A submitted application counts as applied until the user moves it on
+    stage: job.tracker?.stage || (job.submittedAt ? "applied" : ""),
+    url: goal.jobUrl || job.startUrl || "",
+    source: job.manual ? "Apply tab" : job.externalSource || (job.queued ? "Queue" : ""),
+    notes: job.tracker?.notes || "",
+  };
+}
+
+function applicationStatus(job) {
+  switch (job.status) {
+    case "done": return job.submittedAt ? "Submitted" : "Filled";
+    case "error": return "Failed";
+    case "stopped":
+    case "stopping": return "Stopped";
+    case "waiting_for_user": return "Waiting for you";
+    case "queued": return "Queued";
+    case "skipped": return "Skipped";
+    default: return "In progress";
+  }
+}
+
+async function updateTracker(jobId, patch) {
+  const key = `job:${jobId}`;
+  const job = (await chrome.storage.local.get([key]))[key];
+  if (!job) return;
+  await chrome.storage.local.set({ [key]: { ...job, tracker: { ...job.tracker, ...patch, updatedAt: Date.now() } } });
+}
+
+function filterApplications(applications) {
+  const stage = document.getElementById("applications-stage")?.value || "";
+  if (!stage) return applications;
+  return applications.filter((a) => (stage === "none" ? !a.stage : a.stage === stage));
+}
+
+async function renderApplications() {
+  const list = document.getElementById("applications-list");
+  if (!list) return;
+  // Job progress updates would otherwise re-render the notes box the user is typing in
+  if (list.contains(document.activeElement)) {
+    list.dataset.stale = "true";
+    return;
+  }
+  delete list.dataset.stale;
+
+  const all = await loadApplications();
+  const applications = filterApplications(all);
+  if (applications.length === 0) {
+    list.innerHTML = `<p class="hint">${all.length === 0 ? "No applications yet." : "No applications at this stage."}</p>`;
+    return;
+  }
+
+  const stageOptions = (current) => [["", "No stage"], ...Object.entries(APPLICATION_STAGES)]
+    .map(([value, label]) => `<option value="${value}"${value === current ? " selected" : ""}>${label}</option>`)
+    .join("");
+  list.innerHTML = applications.map((a) => `
+    <div class="application-item">
+      <div class="cache-item">
+        <div class="cache-info">
+          <div class="cache-domain">${escapeHtml(a.company)} — ${escapeHtml(a.jobTitle)}</div>
+          <div class="cache-meta">${escapeHtml([a.appliedAt && new Date(a.appliedAt).toLocaleDateString(), a.status, a.source].filter(Boolean).join(" · "))}</div>
+          ${/^https?:/i.test(a.url) ? `<a class="cache-meta application-url" href="${escapeHtml(a.url)}" target="_blank" rel="noopener">${escapeHtml(a.url)}</a>` : ""}
+        </div>
+        <button class="btn-icon danger" data-delete-application="${escapeHtml(a.jobId)}">Delete</button>
+      </div>
+      <div class="application-tracker">
+        <select class="input" data-application-stage="${escapeHtml(a.jobId)}">${stageOptions(a.stage)}</select>
+        <textarea class="input" data-application-notes="${escapeHtml(a.jobId)}" placeholder="Notes">${escapeHtml(a.notes)}</textarea>
+      </div>
+    </div>`).join("");
+
+  list.querySelectorAll("[data-application-stage]").forEach((select) => {
+    select.addEventListener("change", () => updateTracker(select.dataset.applicationStage, { stage: select.value }));
+  });
+  list.querySelectorAll("[data-application-notes]").forEach((textarea) => {
+    textarea.addEventListener("change", () => updateTracker(textarea.dataset.applicationNotes, { notes: textarea.value }));
+  });
+  list.querySelectorAll("[data-delete-application]").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      if (!confirm("Remove this application from the tracker?")) return;
+      // The background drops the job's cover letter and answers with it
+      await chrome.storage.local.remove(`job:${btn.dataset.deleteApplication}`);
+    });
+  });
+}
+
+async function exportApplications(format) {
+  const applications = filterApplications(await loadApplications());
+  if (applications.length === 0) {
+    showStatusMsg("applicationsStatus", "Nothing to export.", false);
+    return;
+  }
+  const stamp = new Date().toISOString().slice(0, 10);
+  const rows = applications.map((a) => ({ ...a, stage: APPLICATION_STAGES[a.stage] || "" }));
+  if (format === "csv") {
+    downloadFile(`vaulty-applications-${stamp}.csv`, "text/csv", toCsv(APPLICATION_CSV_COLUMNS, rows));
+  } else {
+    downloadFile(`vaulty-applications-${stamp}.json`, "application/json", JSON.stringify(rows, null, 2));
+  }
+}
+
+document.getElementById("applications-stage")?.addEventListener("change", () => renderApplications());
+document.getElementById("exportApplicationsCsv")?.addEventListener("click", () => exportApplications("csv"));
+document.getElementById("exportApplicationsJson")?.addEventListener("click", () => exportApplications("json"));
+
+// Catch up on changes that arrived while a notes box had focus
+document.getElementById("applications-list")?.addEventListener("focusout", (e) => {
+  const list = e.currentTarget;
+  setTimeout(() => {
+    if (list.dataset.stale && !list.contains(document.activeElement)) renderApplications();
+  }, 0);
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && Object.keys(changes).some((key) => key.startsWith("job:"))) renderApplications();
+});
+
+// ── Fill history ──────────────────────────────────────────────────────────────
+
+const HISTORY_OUTCOMES = {
+  submitted: "Submitted",
+  done: "Filled",
+  stopped: "Stopped",
+  error: "Failed",
+};
+const HISTORY_PAGE_SIZE = 50;
+const HISTORY_CSV_COLUMNS = [
+  "recordId", "startedAt", "endedAt", "outcome", "message", "url", "title", "steps",
+  "step", "label", "selector", "profileKey", "type", "status", "error", "value",
+];
+
+async function loadHistory() {
+  const data = await getSecure([FILL_HISTORY_KEY]);
+  return data[FILL_HISTORY_KEY] || [];
+}
+
+// Records matching the search box and filters, newest first
+function filterHistory(history) {
+  const query = (document.getElementById("history-search")?.value || "").trim().toLowerCase();
+  const outcome = document.getElementById("history-outcome")?.value || "";
+  const days = Number(document.getElementById("history-range")?.value || 0);
+  const since = days ? Date.now() - days * 24 * 60 * 60 * 1000 : 0;
+  return history.filter((r) => {
+    if (outcome && r.outcome !== outcome) return false;
+    if (r.endedAt < since) return false;
+    if (!query) return true;
+    const text = [r.url, r.title, r.message, ...r.fields.flatMap((f) => [f.label, f.profileKey])]
+      .join(" ")
+      .toLowerCase();
+    return text.includes(query);
+  });
+}
+
+async function renderHistory() {
+  const list = document.getElementById("history-list");
+  if (!list) return;
+  const history = await loadHistory();
+  const records = filterHistory(history);
+  const count = document.getElementById("history-count");
+  if (count) {
+    count.textContent = history.length === 0 ? ""
+      : records.length === history.length ? `${history.length} fills`
+      : `${records.length} of ${history.length} fills`;
+  }
+  if (records.length === 0) {
+    list.innerHTML = `<p class="hint">${history.length === 0 ? "No fills yet." : "No fills match."}</p>`;
+    return;
+  }
+
+  list.innerHTML = records.slice(0, HISTORY_PAGE_SIZE).map((r) => {
+    const filled = r.fields.filter((f) => f.status === "filled").length;
+    const issues = r.fields.length - filled;
+    const meta = [
+      new Date(r.endedAt).toLocaleString(),
+      `${r.steps} ${r.steps === 1 ? "step" : "steps"}`,
+      `${filled} filled${issues ? `, ${issues} not` : ""}`,
+    ].join(" · ");
+    return `
+    <div class="history-item">
+      <div class="cache-item">
+        <div class="cache-info">
+          <div class="cache-domain">${escapeHtml(r.title || hostOf(r.url) || "Unknown page")}</div>
+          <div class="cache-meta">${escapeHtml(hostOf(r.url))} · <span class="history-outcome ${escapeHtml(r.outcome)}">${escapeHtml(HISTORY_OUTCOMES[r.outcome] || r.outcome)}</span></div>
+          <div class="cache-meta">${escapeHtml(meta)}</div>
+        </div>
+        <button class="btn-icon" data-history-details="${escapeHtml(r.id)}">Details</button>
+        <button class="btn-icon danger" data-delete-history="${escapeHtml(r.id)}">Delete</button>
+      </div>
+      <div class="history-details hidden" data-history-id="${escapeHtml(r.id)}">
+        ${r.message ? `<p class="hint">${escapeHtml(r.message)}</p>` : ""}
+        ${r.fields.map((f) => `
+        <div class="history-field">
+          <span>${escapeHtml(f.label || f.selector)}</span>
+          <span class="cache-meta">${escapeHtml([f.profileKey, f.status === "filled" ? "" : f.error || f.status].filter(Boolean).join(" · "))}</span>
+          ${f.value !== undefined ? `<span class="cache-meta">${escapeHtml(f.value)}</span>` : ""}
+        </div>`).join("")}
+      </div>
+    </div>`;
+  }).join("");
+
+  list.querySelectorAll("[data-history-details]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+      const details = list.querySelector(`[data-history-id="${CSS.escape(btn.dataset.historyDetails)}"]`);
+      details?.classList.toggle("hidden");
+    });
+  });
+  list.querySelectorAll("[data-delete-history]").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      const history = await loadHistory();
+      await setSecure({
+        [FILL_HISTORY_KEY]: history.filter((r) => r.id !== btn.dataset.deleteHistory),
+      });
+    });
+  });
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return "";
+  }
+}
+
+// One row per filled field; a fill with no fields still gets a row of its own
+function historyToCsv(records) {
+  const rows = records.flatMap((r) => {
+    const base = {
+      recordId: r.id,
+      startedAt: new Date(r.startedAt).toISOString(),
+      endedAt: new Date(r.endedAt).toISOString(),
+      outcome: r.outcome,
+      message: r.message,
+      url: r.url,
+      title: r.title,
+      steps: r.steps,
+    };
+    return r.fields.length ? r.fields.map((f) => ({ ...base, ...f })) : [base];
   });
+  return toCsv(HISTORY_CSV_COLUMNS, rows);
+}
+
+function toCsv(columns, rows) {
+  const cell = (value) => {
+    let text = value == null ? "" : String(value);
+    // Page text lands in these cells; keep spreadsheets from reading it as a formula
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows.map((row) => columns.map((c) => row[c]))]
+    .map((row) => row.map(cell).join(","))
+    .join("\r\n");
+}
+
+function downloadFile(name, type, text) {
   const a = document.createElement("a");
-  a.href = URL.createObjectURL(blob);
-  a.download = "vaulty-profile.json";
+  a.href = URL.createObjectURL(new Blob([text], { type }));
+  a.download = name;
   a.click();
   URL.revokeObjectURL(a.href);
+}
+
+async function exportHistory(format) {
+  const records = filterHistory(await loadHistory());
+  if (records.length === 0) {
+    showStatusMsg("historyStatus", "Nothing to export.", false);
+    return;
+  }
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === "csv") downloadFile(`vaulty-history-${stamp}.csv`, "text/csv", historyToCsv(records));
+  else downloadFile(`vaulty-history-${stamp}.json`, "application/json", JSON.stringify(records, null, 2));
+}
+
+document.getElementById("history-search")?.addEventListener("input", () => renderHistory());
+document.getElementById("history-outcome")?.addEventListener("change", () => renderHistory());
+document.getElementById("history-range")?.addEventListener("change", () => renderHistory());
+document.getElementById("exportHistoryCsv")?.addEventListener("click", () => exportHistory("csv"));
+document.getElementById("exportHistoryJson")?.addEventListener("click", () => exportHistory("json"));
+
+document.getElementById("clearHistory")?.addEventListener("click", async () => {
+  if (!confirm("Delete the whole fill history?")) return;
+  await chrome.storage.local.remove(FILL_HISTORY_KEY);
+  showStatusMsg("historyStatus", "History cleared.", true);
 });
 
-document.getElementById("viewStorage")?.addEventListener("click", async () => {
-  const data = await chrome.storage.local.get(null);
-  console.log("Chrome Storage:", data);
-  alert("Storage logged to console (F12)");
+chrome.storage.local.get(["historyValues"]).then(({ historyValues }) => {
+  const toggle = document.getElementById("history-values-toggle");
+  if (toggle) toggle.checked = !!historyValues;
+});
+
+document.getElementById("history-values-toggle")?.addEventListener("change", (e) => {
+  chrome.storage.local.set({ historyValues: e.target.checked });
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes[FILL_HISTORY_KEY]) renderHistory();
+});
+
+// ── Vault ─────────────────────────────────────────────────────────────────────
+// Optional passphrase encryption for profiles, tokens, documents and history (see
+// vault.js). While it is locked the panel shows only the unlock screen.
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+function showVaultScreen() {
+  document.getElementById("vault-screen").classList.remove("hidden");
+  document.getElementById("auth-screen").classList.add("hidden");
+  document.getElementById("main-app").classList.add("hidden");
+  document.getElementById("vault-unlock-passphrase")?.focus();
+}
+
+function setVaultError(msg) {
+  const el = document.getElementById("vault-error");
+  if (!el) return;
+  el.textContent = msg;
+  el.classList.toggle("hidden", !msg);
+}
+
+document.getElementById("vault-unlock")?.addEventListener("click", async () => {
+  const input = document.getElementById("vault-unlock-passphrase");
+  const btn = document.getElementById("vault-unlock");
+  if (!input.value) {
+    setVaultError("Please enter your passphrase.");
+    return;
+  }
+  btn.disabled = true;
+  btn.textContent = "Unlocking…";
+  try {
+    if (!(await unlockVault(input.value))) {
+      setVaultError("That passphrase is incorrect.");
+      return;
+    }
+    input.value = "";
+    setVaultError("");
+    document.getElementById("vault-screen").classList.add("hidden");
+    await startPanel();
+  } finally {
+    btn.disabled = false;
+    btn.textContent = "Unlock";
+  }
+});
+
+document.getElementById("vault-unlock-passphrase")?.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") document.getElementById("vault-unlock")?.click();
+});
+
+document.getElementById("vault-reset")?.addEventListener("click", async (e) => {
+  e.preventDefault();
+  if (!confirm("Reset the vault? Your encrypted profiles, documents and fill history are deleted from this browser and you'll need to sign in again. Profiles synced to your account come back after you sign in.")) return;
+  await resetVault();
+  document.getElementById("vault-screen").classList.add("hidden");
+  await startPanel();
+});
+
+async function renderVaultSettings() {
+  const { enabled, lockMinutes } = await vaultStatus();
+  document.getElementById("vault-setup")?.classList.toggle("hidden", enabled);
+  document.getElementById("vault-controls")?.classList.toggle("hidden", !enabled);
+  const select = document.getElementById("vault-lockMinutes");
+  if (select) select.value = String(lockMinutes || DEFAULT_LOCK_MINUTES);
+}
+
+document.getElementById("enableVault")?.addEventListener("click", async () => {
+  const passphrase = document.getElementById("vault-passphrase").value;
+  const confirmation = document.getElementById("vault-passphrase-confirm").value;
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    showStatusMsg("vaultStatusMsg", `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`, false);
+    return;
+  }
+  if (passphrase !== confirmation) {
+    showStatusMsg("vaultStatusMsg", "The passphrases don't match.", false);
+    return;
+  }
+  try {
+    await enableVault(passphrase, Number(document.getElementById("vault-lockMinutes").value) || DEFAULT_LOCK_MINUTES);
+    document.getElementById("vault-passphrase").value = "";
+    document.getElementById("vault-passphrase-confirm").value = "";
+    showStatusMsg("vaultStatusMsg", "Vault on. Your profiles, documents, fill history and sign-in are encrypted.", true);
+  } catch (err) {
+    showStatusMsg("vaultStatusMsg", err.message || "Could not turn on the vault.", false);
+  }
+  await renderVaultSettings();
+});
+
+document.getElementById("vault-lockMinutes")?.addEventListener("change", async (e) => {
+  await setLockMinutes(Number(e.target.value) || DEFAULT_LOCK_MINUTES);
+});
+
+document.getElementById("lockVault")?.addEventListener("click", () => lockVault());
+
+document.getElementById("disableVault")?.addEventListener("click", async () => {
+  if (!confirm("Turn off the vault? Your profiles, documents, fill history and sign-in will be stored unencrypted in this browser.")) return;
+  try {
+    await disableVault();
+    showStatusMsg("vaultStatusMsg", "Vault off.", true);
+  } catch (err) {
+    showStatusMsg("vaultStatusMsg", err.message || "Could not turn off the vault.", false);
+  }
+  await renderVaultSettings();
+});
+
+// Auto-lock (or Lock Now from another panel) removes the key from session storage.
+// So do turning the vault off and resetting it, which remove the vault first.
+chrome.storage.onChanged.addListener(async (changes, area) => {
+  if (area !== "session" || !changes.vaultKey || changes.vaultKey.newValue) return;
+  if ((await vaultStatus()).enabled) showVaultScreen();
 });
 
 // ── Init ──────────────────────────────────────────────────────────────────────
 
-(async () => {
+async function startPanel() {
+  const { enabled, unlocked } = await vaultStatus();
+  if (enabled && !unlocked) {
+    showVaultScreen();
+    return;
+  }
   await initAuth();
   // loadProfile and loadSettings are called inside showMainApp path (initAuth / login handler)
   // but also run here as a fallback in case already authenticated on startup
-  const { authToken } = await chrome.storage.local.get(["authToken"]);
+  const { authToken } = await getSecure(["authToken"]);
   if (authToken) {
     await loadProfile();
     await loadSettings();
+  } else {
+    await showActiveProfile();
   }
-})();
+  await renderDocuments();
+  await renderMappingCache();
+  await renderHistory();
+  await renderCopilotChat();
+  await renderQueue();
+  await renderApplications();
+  await renderExternalOrigins();
+  await renderPairingRequest();
+  await renderVaultSettings();
+}
+
+startPanel();
 
 // ── Apply tab ─────────────────────────────────────────────────────────────────
 
@@ -530,9 +1705,16 @@ const FILL_STATUS_MAP = {
   analyzing: { icon: "🔍", text: "Analyzing form fields with AI…" },
   filling:   { icon: "✍️",  text: "Filling in your details…" },
   done:      { icon: "✅", text: "Done! Form has been filled." },
+  review:    { icon: "📝", text: "Check the values below, then click Apply." },
+  awaiting_submit: { icon: "✋", text: "Ready to submit — review and confirm." },
+  submitting: { icon: "📨", text: "Submitting your application…" },
   error:     { icon: "❌", text: "Something went wrong." },
 };
 
+const BUSY_STATUSES = ["analyzing", "filling", "review", "awaiting_submit", "submitting"];
+// Review and submit have their own Cancel buttons
+const CANCELLABLE_STATUSES = ["analyzing", "filling"];
+
 function setFillStatus(status, message) {
   const s = FILL_STATUS_MAP[status] || FILL_STATUS_MAP.idle;
   const iconEl = document.getElementById("status-icon");
@@ -540,12 +1722,46 @@ function setFillStatus(status, message) {
   const btn    = document.getElementById("btn-fill");
   if (iconEl) iconEl.textContent = s.icon;
   if (textEl) textEl.textContent = message || s.text;
-  if (btn)    btn.disabled = status === "analyzing" || status === "filling";
+  if (btn)    btn.disabled = BUSY_STATUSES.includes(status);
+  document.getElementById("btn-cancel-fill")?.classList.toggle("hidden", !CANCELLABLE_STATUSES.includes(status));
+  if (status !== "review") hideReview();
+  if (status !== "awaiting_submit") hideSubmitConfirm();
+}
+
+// Fill status for the tab this panel is looking at; jobs running in other tabs are ignored.
+let activeTabId = null;
+
+chrome.tabs.query({ active: true, currentWindow: true }).then(([tab]) => {
+  activeTabId = tab?.id ?? null;
+  restoreFillState();
+});
+
+chrome.tabs.onActivated.addListener(async () => {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id || tab.id === activeTabId) return;
+  activeTabId = tab.id;
+  restoreFillState();
+  renderApplyProfile();
+});
+
+// Pick up a fill already in progress on this tab (e.g. after the panel was reopened).
+async function restoreFillState() {
+  if (activeTabId === null) return;
+  const state = await chrome.runtime.sendMessage({ type: "get_fill_state", tabId: activeTabId }).catch(() => null);
+  setFillStatus(state?.status || "idle");
+  if (state?.status === "review") showReview(state.review || []);
+  if (state?.status === "awaiting_submit") showSubmitConfirm(state.pendingSubmit);
+  if (state?.results) showResults(state.results, state.notice);
+  else hideResults();
 }
 
 chrome.runtime.onMessage.addListener((msg) => {
   if (msg.type === "status_update") {
+    if (activeTabId !== null && msg.tabId !== activeTabId) return;
     setFillStatus(msg.status, msg.message);
+    if (msg.status === "review") showReview(msg.review || []);
+    if (msg.status === "awaiting_submit") showSubmitConfirm(msg.pendingSubmit);
+    if (msg.results) showResults(msg.results, msg.notice);
   }
 });
 
@@ -554,8 +1770,217 @@ document.getElementById("btn-fill")?.addEventListener("click", async () => {
   if (!tab?.id) return;
 
   setFillStatus("analyzing");
+  hideResults();
 
   chrome.runtime.sendMessage({ type: "start_fill", tabId: tab.id }, (res) => {
     if (res?.error) setFillStatus("error", res.error);
   });
 });
+
+document.getElementById("btn-cancel-fill")?.addEventListener("click", async () => {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id) return;
+  await chrome.runtime.sendMessage({ type: "cancel_fill", tabId: tab.id }).catch(() => null);
+});
+
+document.getElementById("btn-undo")?.addEventListener("click", async () => {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id) return;
+  const res = await chrome.runtime.sendMessage({ type: "undo_fill", tabId: tab.id }).catch(() => null);
+  if (!res?.ok) {
+    setFillStatus("error", res?.error || "Could not undo the last fill.");
+    return;
+  }
+  setFillStatus("idle", res.restored === 1
+    ? "Undo complete. Restored 1 field."
+    : `Undo complete. Restored ${res.restored} fields.`);
+});
+
+// ── Fill results ──────────────────────────────────────────────────────────────
+
+const RESULT_STATUS_TEXT = {
+  not_found: "Not found on the page",
+  no_option: "No matching option",
+  rejected:  "The page didn't accept this value",
+  blocking:  "The page won't continue until this is answered",
+};
+
+// Summary of the last fill with jump-to links for the fields that still need the user.
+function showResults(results, notice = "") {
+  const box = document.getElementById("results-box");
+  const summary = document.getElementById("results-summary");
+  const list = document.getElementById("results-list");
+  if (!box || !summary || !list) return;
+
+  const attention = results.filter((r) => r.status !== "filled");
+  const filled = results.length - attention.length;
+  summary.textContent = attention.length === 0
+    ? `${filled} filled`
+    : `${filled} filled, ${attention.length} ${attention.length === 1 ? "needs" : "need"} your attention`;
+  box.classList.toggle("all-good", attention.length === 0);
+
+  const noticeEl = document.getElementById("results-notice");
+  if (noticeEl) {
+    noticeEl.textContent = notice;
+    noticeEl.classList.toggle("hidden", !notice);
+  }
+
+  list.innerHTML = attention.map((r, i) => `
+    <div class="result-item">
+      <div class="result-item-text">
+        <div>${escapeHtml(r.label || r.selector)}</div>
+        <div class="review-item-note">${escapeHtml(r.error || RESULT_STATUS_TEXT[r.status] || r.status)}</div>
+      </div>
+      ${r.status === "not_found" ? "" : `<button class="btn-icon" data-result-focus="${i}">Show</button>`}
+    </div>`).join("");
+
+  list.querySelectorAll("[data-result-focus]").forEach((btn) => {
+    btn.addEventListener("click", async () => {
+      const r = attention[Number(btn.dataset.resultFocus)];
+      if (activeTabId === null || !r) return;
+      const res = await chrome.runtime.sendMessage({
+        type: "focus_field",
+        tabId: activeTabId,
+        frameId: r.frameId,
+        selector: r.selector,
+      }).catch(() => null);
+      if (!res?.ok) btn.textContent = "Gone";
+    });
+  });
+  box.classList.remove("hidden");
+}
+
+function hideResults() {
+  document.getElementById("results-box")?.classList.add("hidden");
+}
+
+// ── Submit approval ───────────────────────────────────────────────────────────
+
+function showSubmitConfirm(pending) {
+  const label = document.getElementById("submit-label");
+  if (label) label.textContent = pending?.label || "Submit";
+  document.getElementById("submit-box")?.classList.remove("hidden");
+  document.querySelector(".apply-action-wrap")?.classList.add("has-content");
+}
+
+function hideSubmitConfirm() {
+  document.getElementById("submit-box")?.classList.add("hidden");
+}
+
+document.getElementById("submit-confirm")?.addEventListener("click", async () => {
+  if (activeTabId === null) return;
+  setFillStatus("submitting");
+  const res = await chrome.runtime.sendMessage({ type: "confirm_submit", tabId: activeTabId }).catch(() => null);
+  if (!res?.ok) setFillStatus("error", res?.error || "Could not submit the form.");
+});
+
+document.getElementById("submit-cancel")?.addEventListener("click", async () => {
+  if (activeTabId === null) return;
+  await chrome.runtime.sendMessage({ type: "cancel_submit", tabId: activeTabId }).catch(() => {});
+  setFillStatus("idle", "Submission cancelled. Your answers are still on the page.");
+});
+
+// ── Review before fill ────────────────────────────────────────────────────────
+
+let reviewItems = [];
+
+chrome.storage.local.get(["reviewBeforeFill"]).then(({ reviewBeforeFill }) => {
+  const toggle = document.getElementById("review-toggle");
+  if (toggle) toggle.checked = !!reviewBeforeFill;
+});
+
+document.getElementById("review-toggle")?.addEventListener("change", (e) => {
+  chrome.storage.local.set({ reviewBeforeFill: e.target.checked });
+});
+
+let reviewDocuments = [];
+
+function reviewValueControl(item, i) {
+  if (item.type === "file") {
+    const opts = reviewDocuments
+      .map((d) => `<option value="${escapeHtml(d.id)}"${d.id === item.value ? " selected" : ""}>${escapeHtml(d.name)}</option>`)
+      .join("");
+    return `<select class="input" data-review-value="${i}">${opts}</select>`;
+  }
+  if (item.type === "checkbox" || item.type === "radio") {
+    const opts = ["true", "false"]
+      .map((v) => `<option value="${v}"${item.value === v ? " selected" : ""}>${v === "true" ? "Checked" : "Unchecked"}</option>`)
+      .join("");
+    return `<select class="input" data-review-value="${i}">${opts}</select>`;
+  }
+  if (["select", "combobox", "radiogroup"].includes(item.type) && item.options?.length) {
+    const known = item.options.includes(item.value);
+    const opts = (known ? item.options : [item.value, ...item.options])
+      .map((o) => `<option value="${escapeHtml(o)}"${o === item.value ? " selected" : ""}>${escapeHtml(o)}</option>`)
+      .join("");
+    return `<select class="input" data-review-value="${i}">${opts}</select>`;
+  }
+  if (item.type === "date" && /^\d{4}-\d{2}-\d{2}$/.test(item.value)) {
+    return `<input class="input" type="date" data-review-value="${i}" value="${escapeHtml(item.value)}" />`;
+  }
+  if (item.type === "textarea" || item.type === "richtext") {
+    return `<textarea class="input" data-review-value="${i}">${escapeHtml(item.value)}</textarea>`;
+  }
+  return `<input class="input" data-review-value="${i}" value="${escapeHtml(item.value)}" />`;
+}
+
+async function showReview(items) {
+  reviewItems = items;
+  reviewDocuments = await loadDocuments();
+  const box = document.getElementById("review-box");
+  const list = document.getElementById("review-list");
+  if (!box || !list) return;
+
+  list.innerHTML = items.map((item, i) => `
+    <div class="review-item${item.found ? "" : " skipped"}" data-review-item="${i}">
+      <label class="review-item-head">
+        <input type="checkbox" data-review-check="${i}"${item.found ? " checked" : ""} />
+        <span class="review-item-label">${escapeHtml(item.label)}</span>
+        <span class="review-item-type">${escapeHtml(item.type)}</span>
+      </label>
+      ${reviewValueControl(item, i)}
+      ${item.found ? "" : `<div class="review-item-note">This field wasn't found on the page.</div>`}
+    </div>`).join("");
+
+  list.querySelectorAll("[data-review-check]").forEach((cb) => {
+    cb.addEventListener("change", () => {
+      cb.closest(".review-item")?.classList.toggle("skipped", !cb.checked);
+    });
+  });
+
+  box.classList.remove("hidden");
+  document.querySelector(".apply-action-wrap")?.classList.add("has-content");
+}
+
+function hideReview() {
+  reviewItems = [];
+  document.getElementById("review-box")?.classList.add("hidden");
+  document.querySelector(".apply-action-wrap")?.classList.remove("has-content");
+}
+
+function collectApprovedMapping() {
+  return reviewItems
+    .map((item, i) => {
+      const checked = document.querySelector(`[data-review-check="${i}"]`)?.checked;
+      const value = document.querySelector(`[data-review-value="${i}"]`)?.value ?? item.value;
+      if (!checked) return null;
+      const approved = { selector: item.selector, frameId: item.frameId, type: item.type, value };
+      // An edited value no longer comes from the profile (or the site cache)
+      return value === item.value ? { ...approved, profileKey: item.profileKey, cached: item.cached } : approved;
+    })
+    .filter(Boolean);
+}
+
+document.getElementById("review-apply")?.addEventListener("click", async () => {
+  if (activeTabId === null) return;
+  const mapping = collectApprovedMapping();
+  setFillStatus("filling");
+  const res = await chrome.runtime.sendMessage({ type: "apply_review", tabId: activeTabId, mapping }).catch(() => null);
+  if (!res?.ok) setFillStatus("error", res?.error || "Could not apply the reviewed values.");
+});
+
+document.getElementById("review-cancel")?.addEventListener("click", async () => {
+  if (activeTabId === null) return;
+  await chrome.runtime.sendMessage({ type: "cancel_review", tabId: activeTabId }).catch(() => {});
+  setFillStatus("idle", "Fill cancelled. Nothing was typed.");
+});
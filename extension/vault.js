@@ -0,0 +1,212 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// VAULT — Optional passphrase encryption for profiles and auth tokens
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// With the vault on, the keys in VAULT_KEYS are stored in chrome.storage.local as
+// AES-GCM ciphertext under a key derived from the user's passphrase (PBKDF2). The
+// derived key lives only in chrome.storage.session, so it is gone when the browser
+// closes or the vault auto-locks after `lockMinutes` without use. Everything else
+// in storage stays plain and must not hold personal data: job records keep their
+// cover letter and custom answers in "jobInputs", and the mapping cache stores
+// profile keys, never values. Readers go through getSecure/setSecure, which pass
+// plain values through untouched when the vault is off.
+
+export const VAULT_KEYS = [
+  "userProfile", "profiles", "authToken", "refreshToken", "authUser",
+  "documents", "fillHistory", "jobInputs",
+];
+export const VAULT_ALARM = "vault-auto-lock";
+export const DEFAULT_LOCK_MINUTES = 15;
+
+const VAULT_META_KEY = "vault"; // { salt, iterations, check, lockMinutes }
+const SESSION_KEY = "vaultKey";
+const PBKDF2_ITERATIONS = 310000;
+const CHECK_TEXT = "vaulty-vault";
+
+export const VAULT_LOCKED_MESSAGE = "Your vault is locked. Open the side panel and enter your passphrase to continue.";
+
+export class VaultLockedError extends Error {
+  constructor() {
+    super(VAULT_LOCKED_MESSAGE);
+    this.name = "VaultLockedError";
+  }
+}
+
+// ── Status ──
+
+export async function vaultStatus() {
+  const meta = await readMeta();
+  if (!meta) return { enabled: false, unlocked: true, lockMinutes: DEFAULT_LOCK_MINUTES };
+  return { enabled: true, unlocked: !!(await sessionKey()), lockMinutes: meta.lockMinutes };
+}
+
+// ── Reading and writing ──
+
+// Drop-in for chrome.storage.local.get(keys) that decrypts vault keys.
+// Throws VaultLockedError when a requested value is encrypted and the vault is locked.
+export async function getSecure(keys) {
+  const data = await chrome.storage.local.get(keys);
+  const encrypted = Object.keys(data).filter(k => isEncrypted(data[k]));
+  if (encrypted.length === 0) return data;
+
+  const key = await sessionKey();
+  if (!key) throw new VaultLockedError();
+  for (const k of encrypted) data[k] = await decryptValue(key, data[k]);
+  await touchVault();
+  return data;
+}
+
+// Drop-in for chrome.storage.local.set(items) that encrypts vault keys while the vault is on.
+export async function setSecure(items) {
+  const meta = await readMeta();
+  if (!meta || !Object.keys(items).some(k => VAULT_KEYS.includes(k))) {
+    await chrome.storage.local.set(items);
+    return;
+  }
+  const key = await sessionKey();
+  if (!key) throw new VaultLockedError();
+  const out = {};
+  for (const [k, v] of Object.entries(items)) {
+    out[k] = VAULT_KEYS.includes(k) && v !== undefined ? await encryptValue(key, v) : v;
+  }
+  await chrome.storage.local.set(out);
+  await touchVault();
+}
+
+// ── Lifecycle ──
+
+// Turns the vault on and encrypts whatever sensitive data is already stored.
+export async function enableVault(passphrase, lockMinutes = DEFAULT_LOCK_MINUTES) {
+  if (await readMeta()) throw new Error("The vault is already on.");
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const plain = await chrome.storage.local.get(VAULT_KEYS);
+
+  const items = {
+    [VAULT_META_KEY]: {
+      salt: toBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      check: await encryptValue(key, CHECK_TEXT),
+      lockMinutes,
+    },
+  };
+  for (const [k, v] of Object.entries(plain)) items[k] = await encryptValue(key, v);
+  await chrome.storage.local.set(items);
+  await storeSessionKey(key);
+}
+
+// Returns false when the passphrase is wrong.
+export async function unlockVault(passphrase) {
+  const meta = await readMeta();
+  if (!meta) return true;
+  const key = await deriveKey(passphrase, fromBase64(meta.salt), meta.iterations);
+  try {
+    if ((await decryptValue(key, meta.check)) !== CHECK_TEXT) return false;
+  } catch {
+    return false; // AES-GCM authentication fails with the wrong key
+  }
+  await storeSessionKey(key);
+  return true;
+}
+
+export async function lockVault() {
+  cachedKey = null;
+  await chrome.storage.session.remove(SESSION_KEY);
+  await chrome.alarms.clear(VAULT_ALARM);
+}
+
+// Decrypts everything back to plain storage. The vault must be unlocked.
+export async function disableVault() {
+  const data = await getSecure(VAULT_KEYS);
+  await chrome.storage.local.set(data);
+  await chrome.storage.local.remove(VAULT_META_KEY);
+  await lockVault();
+}
+
+// Forgotten passphrase: the encrypted data can't be recovered, so it is deleted with the vault.
+export async function resetVault() {
+  await chrome.storage.local.remove([VAULT_META_KEY, ...VAULT_KEYS]);
+  await lockVault();
+}
+
+export async function setLockMinutes(lockMinutes) {
+  const meta = await readMeta();
+  if (!meta) return;
+  await chrome.storage.local.set({ [VAULT_META_KEY]: { ...meta, lockMinutes } });
+  if (await sessionKey()) await touchVault();
+}
+
+// Pushes the auto-lock back to `lockMinutes` from now; the background locks when the alarm fires.
+async function touchVault() {
+  const meta = await readMeta();
+  if (meta) await chrome.alarms.create(VAULT_ALARM, { delayInMinutes: meta.lockMinutes || DEFAULT_LOCK_MINUTES });
+}
+
+// ── Crypto ──
+
+// Imported CryptoKey for the exported key currently in session storage
+let cachedKey = null;
+
+async function readMeta() {
+  const data = await chrome.storage.local.get([VAULT_META_KEY]);
+  return data[VAULT_META_KEY] || null;
+}
+
+async function sessionKey() {
+  const data = await chrome.storage.session.get([SESSION_KEY]);
+  const raw = data[SESSION_KEY];
+  if (!raw) return null;
+  if (cachedKey?.raw !== raw) {
+    const key = await crypto.subtle.importKey("raw", fromBase64(raw), "AES-GCM", false, ["encrypt", "decrypt"]);
+    cachedKey = { raw, key };
+  }
+  return cachedKey.key;
+}
+
+async function storeSessionKey(key) {
+  const raw = toBase64(new Uint8Array(await crypto.subtle.exportKey("raw", key)));
+  await chrome.storage.session.set({ [SESSION_KEY]: raw });
+  await touchVault();
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]
+  );
+  // Extractable only so it can be parked in session storage between service worker restarts
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    true,
+    ["encrypt", "decrypt"]
+  );
+}
+
+function isEncrypted(value) {
+  return !!value && typeof value === "object" && value.vault === 1 && typeof value.data === "string";
+}
+
+async function encryptValue(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = new TextEncoder().encode(JSON.stringify(value));
+  const ciphertext = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, plaintext);
+  return { vault: 1, iv: toBase64(iv), data: toBase64(new Uint8Array(ciphertext)) };
+}
+
+async function decryptValue(key, { iv, data }) {
+  const plaintext = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(iv) }, key, fromBase64(data));
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+function toBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
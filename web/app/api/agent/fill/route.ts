@@ -3,18 +3,56 @@ import { cors } from "@/lib/cors";
 import { callLLM } from "@/lib/llm/router";
 import { verifyExtensionAuth, isAuthError } from "@/lib/auth";
 import { enforceRateLimit } from "@/lib/rate-limit";
+import type { AddSectionButton, InventoryField } from "@/lib/llm/types";
+
+/** Metadata for a document stored in the extension; the file bytes never leave the browser. */
+interface DocumentSummary {
+  id: string;
+  name: string;
+  tags?: string[];
+  fileName?: string;
+  preferred?: boolean;
+}
+
+/** A field the page didn't accept on the previous attempt. */
+interface FailedField {
+  index: number;
+  value?: string;
+  status: "not_found" | "no_option" | "rejected";
+  error?: string;
+}
 
 interface FillRequest {
-  html: string;
+  /** Field inventory built by the content script (current extension). */
+  fields?: InventoryField[];
+  addButtons?: AddSectionButton[];
+  page?: { url?: string; title?: string };
+  /** Legacy raw-HTML snapshot of the top frame from older extension versions. */
+  html?: string;
   profile: Record<string, unknown>;
+  documents?: DocumentSummary[];
+  /** Set when re-asking for fields that failed; `fields` then holds only those fields. */
+  retry?: FailedField[];
 }
 
 interface FieldMapping {
   selector: string;
   value: string;
-  type: "input" | "select" | "checkbox" | "radio" | "textarea";
+  type: InventoryField["kind"];
+  frameId: number;
+  /** Profile key the value was taken from; lets the extension cache the mapping per site. */
+  profileKey?: string;
 }
 
+/** Add-section button to click `times` times before the form is mapped again. */
+interface SectionExpansion {
+  selector: string;
+  frameId: number;
+  times: number;
+}
+
+const MAX_SECTION_CLICKS = 5;
+
 export async function OPTIONS(request: NextRequest) {
   return NextResponse.json({}, { headers: cors(request) });
 }
@@ -36,28 +74,55 @@ export async function POST(request: NextRequest) {
     );
   }
 
-  const { html, profile } = body;
+  const { profile } = body;
+  const fields = Array.isArray(body.fields) ? body.fields.filter(isInventoryField) : null;
+  const html = !fields && typeof body.html === "string" ? body.html : "";
 
-  if (!html || !profile) {
+  if ((!fields && !html) || !profile) {
     return NextResponse.json(
       { mapping: [], error: "missing_data", message: "Could not read the page or your profile is empty. Make sure you've saved your profile." },
       { status: 400, headers: cors(request) }
     );
   }
 
+  if (fields && fields.length === 0) {
+    return NextResponse.json({ mapping: [] }, { headers: cors(request) });
+  }
+
   const flatProfile = flattenProfile(profile);
-  const formHTML = extractFormHTML(html);
-  const prompt = buildPrompt(formHTML, flatProfile);
+  const documents = Array.isArray(body.documents)
+    ? body.documents.filter((d) => d && typeof d.id === "string" && typeof d.name === "string")
+    : [];
+  const retry = Array.isArray(body.retry) ? body.retry.filter((f) => f && Number.isInteger(f.index)) : [];
+  const addButtons = Array.isArray(body.addButtons)
+    ? body.addButtons.filter((b) => b && Number.isInteger(b.index) && typeof b.locator === "string")
+    : [];
 
   try {
-    const response = await callLLM({
-      messages: [{ role: "user", content: prompt }],
-      maxTokens: 1024,
-    });
+    let mapping: FieldMapping[];
+    let expand: SectionExpansion[] = [];
 
-    const mapping = parseMapping(response.content);
+    if (fields) {
+      const response = await callLLM({
+        messages: [{ role: "user", content: buildInventoryPrompt(fields, flatProfile, documents, body.page, retry, addButtons) }],
+        maxTokens: 1024,
+      });
+      ({ mapping, expand } = parseInventoryMapping(
+        response.content,
+        fields,
+        new Set(documents.map((d) => d.id)),
+        flatProfile,
+        addButtons
+      ));
+    } else {
+      const response = await callLLM({
+        messages: [{ role: "user", content: buildPrompt(extractFormHTML(html), flatProfile) }],
+        maxTokens: 1024,
+      });
+      mapping = parseMapping(response.content);
+    }
 
-    return NextResponse.json({ mapping }, { headers: cors(request) });
+    return NextResponse.json({ mapping, expand }, { headers: cors(request) });
   } catch (err) {
     console.error("[fill] LLM call failed:", err);
     return NextResponse.json(
@@ -67,6 +132,128 @@ export async function POST(request: NextRequest) {
   }
 }
 
+function isInventoryField(f: InventoryField): boolean {
+  return !!f && Number.isInteger(f.index) && typeof f.locator === "string" && typeof f.kind === "string";
+}
+
+// Only the attributes that help the model identify a field; locators stay server-side.
+function describeInventoryField(f: InventoryField): string {
+  const entry: Record<string, unknown> = { index: f.index, kind: f.kind, type: f.type, label: f.label };
+  if (f.name) entry.name = f.name;
+  if (f.placeholder) entry.placeholder = f.placeholder;
+  if (f.autocomplete) entry.autocomplete = f.autocomplete;
+  if (f.required) entry.required = true;
+  if (f.group) entry.question = f.group;
+  if (f.section) entry.section = f.section;
+  if (f.options?.length) entry.options = f.options.slice(0, 60);
+  if (f.value) entry.currentValue = f.value;
+  if (f.checked) entry.checked = true;
+  if (f.accept) entry.accept = f.accept;
+  return JSON.stringify(entry);
+}
+
+function buildInventoryPrompt(
+  fields: InventoryField[],
+  flatProfile: Record<string, string>,
+  documents: DocumentSummary[],
+  page?: FillRequest["page"],
+  retry: FailedField[] = [],
+  addButtons: AddSectionButton[] = []
+): string {
+  const hasFileFields = fields.some((f) => f.kind === "file");
+  const documentList = hasFileFields && documents.length
+    ? `\nDOCUMENTS (one JSON object per line):\n${documents.map((d) => JSON.stringify(d)).join("\n")}\n`
+    : "";
+  const previousAttempt = retry.length
+    ? `\nPREVIOUS ATTEMPT — the form did not accept these values (one JSON object per line):\n${retry
+        .map((f) => JSON.stringify({ index: f.index, value: f.value, problem: f.error || f.status }))
+        .join("\n")}\n`
+    : "";
+  const addButtonList = addButtons.length
+    ? `\nADD-SECTION BUTTONS (one JSON object per line):\n${addButtons
+        .map((b) => JSON.stringify({ button: b.index, label: b.label, section: b.section }))
+        .join("\n")}\n`
+    : "";
+
+  return `You are a form-filling assistant. Map form fields to user profile values.
+
+USER PROFILE (key: value):
+${JSON.stringify(flatProfile, null, 2)}
+${page?.title || page?.url ? `\nPAGE: ${page.title || ""} ${page.url ? `(${page.url})` : ""}\n` : ""}${documentList}${previousAttempt}${addButtonList}
+FORM FIELDS (one JSON object per line):
+${fields.map(describeInventoryField).join("\n")}
+
+Return ONLY a valid JSON array — no explanation, no markdown, no code fences.
+Each item must be exactly:
+[
+  { "index": 0, "value": "user@example.com", "profileKey": "email" }
+]
+
+Rules:
+- index must be the index of a field listed above
+- profileKey is the USER PROFILE key the value was taken from; omit it when the value isn't based on a single profile key
+- For select and radiogroup fields, value must exactly match one of its options
+- For combobox fields, value is the option text to pick; use one of its options when they are listed, otherwise the answer as the user would type it (e.g. "Berlin, Germany")
+- For date fields, value must be ISO formatted: YYYY-MM-DD, or YYYY-MM when only month and year are known
+- For richtext fields, value is plain text
+- For checkbox/radio fields, value must be "true" or "false"; for a radio, only return the option to select
+- For file fields, value must be the id of a document listed in DOCUMENTS; use the document marked preferred for resume/CV uploads, match others by name and tags, and skip the field if no document fits
+- Keys like experience.0.company and education.1.school number the user's entries from most recent (0); fill repeated form sections in order, the first section from entry 0, the second from entry 1, and so on
+- Profile dates are YYYY-MM; a current position has current "true" and no endDate${
+    addButtons.length
+      ? `
+- If the profile has more experience or education entries than the form has sections for, return ONLY items of the form { "addButton": <button>, "times": <sections to add> } using the ADD-SECTION BUTTONS above; the form will be sent again once the sections exist`
+      : ""
+  }
+- Only include fields you can confidently map
+- Skip fields that already have a currentValue${
+    retry.length
+      ? `
+- Every field above failed on the previous attempt, so ignore its currentValue; use the problem description and the field's options to return a corrected value, and skip the field rather than repeat a value that failed`
+      : ""
+  }`;
+}
+
+function parseInventoryMapping(
+  text: string,
+  fields: InventoryField[],
+  documentIds: Set<string>,
+  flatProfile: Record<string, string>,
+  addButtons: AddSectionButton[]
+): { mapping: FieldMapping[]; expand: SectionExpansion[] } {
+  const byIndex = new Map(fields.map((f) => [f.index, f]));
+  const buttonsByIndex = new Map(addButtons.map((b) => [b.index, b]));
+  try {
+    const clean = text.replace(/```json|```/gi, "").trim();
+    const parsed = JSON.parse(clean);
+    if (!Array.isArray(parsed)) throw new Error("Not an array");
+    const mapping: FieldMapping[] = [];
+    const expand: SectionExpansion[] = [];
+    for (const item of parsed) {
+      const button = buttonsByIndex.get(Number(item?.addButton));
+      if (button) {
+        const times = Math.min(Math.max(1, Math.floor(Number(item.times)) || 1), MAX_SECTION_CLICKS);
+        expand.push({ selector: button.locator, frameId: button.frameId ?? 0, times });
+        continue;
+      }
+      const field = byIndex.get(Number(item?.index));
+      if (!field || item.value === undefined || item.value === null) continue;
+      if (field.kind === "file" && !documentIds.has(String(item.value))) continue;
+      mapping.push({
+        selector: field.locator,
+        value: String(item.value),
+        type: field.kind,
+        frameId: field.frameId ?? 0,
+        profileKey: typeof item.profileKey === "string" && item.profileKey in flatProfile ? item.profileKey : undefined,
+      });
+    }
+    return { mapping, expand };
+  } catch {
+    console.warn("[fill] Failed to parse LLM response:", text);
+    return { mapping: [], expand: [] };
+  }
+}
+
 function buildPrompt(html: string, flatProfile: Record<string, string>): string {
   return `You are a form-filling assistant. Map form fields to user profile values.
 
@@ -91,12 +278,18 @@ Rules:
 - Skip hidden fields, CSRF tokens, honeypots, already-filled fields`;
 }
 
+// Legacy snapshots only cover the top frame
 function parseMapping(text: string): FieldMapping[] {
   try {
     const clean = text.replace(/```json|```/gi, "").trim();
     const parsed = JSON.parse(clean);
     if (!Array.isArray(parsed)) throw new Error("Not an array");
-    return parsed;
+    return parsed
+      .filter((item) => item && typeof item.selector === "string")
+      .map((item) => ({
+        ...item,
+        frameId: 0,
+      }));
   } catch {
     console.warn("[fill] Failed to parse LLM response:", text);
     return [];
@@ -115,11 +308,24 @@ function extractFormHTML(fullHTML: string): string {
   return fieldMatches.map((m) => m[0]).join("\n");
 }
 
+// Mirrored by flattenProfile in extension/local-fill.js, which resolves returned profile keys.
 function flattenProfile(profile: Record<string, unknown>): Record<string, string> {
   const flat: Record<string, string> = {};
   for (const [key, value] of Object.entries(profile)) {
     if (key === "updatedAt") continue;
-    if (typeof value === "object" && value !== null && !Array.isArray(value)) {
+    if (Array.isArray(value)) {
+      // Lists of strings (skills) read as one value; lists of entries (experience) are numbered
+      if (value.every((v) => typeof v !== "object" || v === null)) {
+        const joined = value.filter(Boolean).join(", ");
+        if (joined) flat[key] = joined;
+      } else {
+        value.forEach((entry, i) => {
+          for (const [subKey, subValue] of Object.entries((entry ?? {}) as Record<string, unknown>)) {
+            if (subValue) flat[`${key}.${i}.${subKey}`] = String(subValue);
+          }
+        });
+      }
+    } else if (typeof value === "object" && value !== null) {
       for (const [subKey, subValue] of Object.entries(value as Record<string, unknown>)) {
         if (subValue) flat[`${key}.${subKey}`] = String(subValue);
       }
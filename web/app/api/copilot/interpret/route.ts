@@ -3,16 +3,30 @@ import { cors } from "@/lib/cors";
 import { verifyExtensionAuth, isAuthError } from "@/lib/auth";
 import { enforceRateLimit } from "@/lib/rate-limit";
 import { callLLM, callLLMWithVision, getConfiguredProvider, isVisionSupported } from "@/lib/llm/router";
+import type { LLMMessage } from "@/lib/llm/types";
 import {
   COPILOT_SUMMARIZE_SYSTEM,
+  COPILOT_CHAT_SYSTEM,
   buildCopilotSummarizePrompt,
+  buildCopilotChatContext,
   type CopilotPageContext,
 } from "@/lib/llm/copilot-prompts";
 
+// Older turns are dropped first; the extension keeps the full conversation
+const MAX_CHAT_MESSAGES = 20;
+const MAX_CHAT_MESSAGE_CHARS = 2000;
+
+interface CopilotChatMessage {
+  role: "user" | "assistant";
+  content: string;
+}
+
 interface CopilotInterpretRequest {
-  task: "summarize";
+  task: "summarize" | "chat";
   screenshot?: string;
   context: CopilotPageContext;
+  // chat only: the conversation so far, ending with the user's new question
+  messages?: CopilotChatMessage[];
 }
 
 interface CopilotSummaryResponse {
@@ -22,6 +36,25 @@ interface CopilotSummaryResponse {
   keyPoints?: string[];
 }
 
+interface CopilotAnswerResponse {
+  type: "answer";
+  content: string;
+}
+
+// The last MAX_CHAT_MESSAGES turns, starting on a user turn. Null when malformed or
+// when the conversation doesn't end with a question.
+function chatMessages(messages: unknown): LLMMessage[] | null {
+  if (!Array.isArray(messages) || messages.length === 0) return null;
+  const valid = messages.every(
+    (m) => (m?.role === "user" || m?.role === "assistant") && typeof m.content === "string" && m.content.trim()
+  );
+  if (!valid || messages[messages.length - 1].role !== "user") return null;
+
+  const recent = (messages as CopilotChatMessage[]).slice(-MAX_CHAT_MESSAGES);
+  while (recent[0].role !== "user") recent.shift();
+  return recent.map((m) => ({ role: m.role, content: m.content.slice(0, MAX_CHAT_MESSAGE_CHARS) }));
+}
+
 function parseSummaryResponse(content: string): CopilotSummaryResponse {
   try {
     let jsonStr = content.trim();
@@ -74,17 +107,26 @@ export async function POST(request: NextRequest) {
   try {
     const body = (await request.json()) as CopilotInterpretRequest;
     const { task, screenshot, context } = body;
+    const isChat = task === "chat";
 
     if (!context?.url) {
       return NextResponse.json(
-        { error: "missing_context", message: "Could not determine which page to summarize. Try refreshing the page." },
+        { error: "missing_context", message: "Could not determine which page you're on. Try refreshing the page." },
         { status: 400, headers: cors(request) }
       );
     }
 
-    if (task !== "summarize") {
+    if (task !== "summarize" && !isChat) {
       return NextResponse.json(
-        { error: "unsupported_task", message: "This feature isn't available yet. Only page summarization is supported." },
+        { error: "unsupported_task", message: "This feature isn't available yet. Try summarizing the page or asking a question." },
+        { status: 400, headers: cors(request) }
+      );
+    }
+
+    const conversation = isChat ? chatMessages(body.messages) : null;
+    if (isChat && !conversation) {
+      return NextResponse.json(
+        { error: "invalid_messages", message: "Type a question about this page and try again." },
         { status: 400, headers: cors(request) }
       );
     }
@@ -106,6 +148,25 @@ export async function POST(request: NextRequest) {
     const hasScreenshot = !!screenshot;
     const useVision = hasScreenshot && isVisionSupported(provider);
 
+    if (conversation) {
+      // Page content rides in the system prompt so every turn can refer to it
+      const messages: LLMMessage[] = [
+        { role: "system", content: `${COPILOT_CHAT_SYSTEM}\n\n${buildCopilotChatContext(context)}` },
+        ...conversation,
+      ];
+      const response = useVision
+        ? await callLLMWithVision({
+            messages,
+            images: [{ base64: screenshot!, type: "image/png" }],
+            temperature: 0.2,
+            maxTokens: 1024,
+          })
+        : await callLLM({ messages, temperature: 0.2, maxTokens: 1024 }, provider);
+
+      const result: CopilotAnswerResponse = { type: "answer", content: response.content.trim() };
+      return NextResponse.json(result, { headers: cors(request) });
+    }
+
     const userPrompt = buildCopilotSummarizePrompt(context);
 
     if (useVision) {
@@ -141,7 +202,7 @@ export async function POST(request: NextRequest) {
   } catch (err) {
     console.error("[Copilot] Interpret error:", err);
     return NextResponse.json(
-      { error: "ai_error", message: "The AI couldn't summarize this page right now. Please try again." },
+      { error: "ai_error", message: "The AI couldn't read this page right now. Please try again." },
       { status: 500, headers: cors(request) }
     );
   }
@@ -1,9 +1,11 @@
 import { NextRequest, NextResponse } from "next/server";
 import { createClient } from "@supabase/supabase-js";
 import { cors } from "@/lib/cors";
-import type { UserProfile } from "@/lib/profile";
+import type { StoredProfile, UserProfile } from "@/lib/profile";
 import { verifyExtensionAuth, isAuthError } from "@/lib/auth";
-import { getFullName } from "@/lib/profile";
+import { getFullName, isStoredProfile } from "@/lib/profile";
+
+const MAX_PROFILES = 20;
 
 function userClient(token: string) {
   return createClient(
@@ -27,7 +29,7 @@ export async function GET(request: NextRequest) {
   const sb = userClient(auth.token);
   const { data, error } = await sb
     .from("user_profiles")
-    .select("profile_data")
+    .select("profile_data, profiles, active_profile_id")
     .eq("user_id", auth.userId)
     .single();
 
@@ -39,7 +41,11 @@ export async function GET(request: NextRequest) {
   }
 
   return NextResponse.json(
-    { profile: data.profile_data ?? {} },
+    {
+      profile: data.profile_data ?? {},
+      profiles: Array.isArray(data.profiles) ? data.profiles : [],
+      activeProfileId: data.active_profile_id ?? null,
+    },
     { headers: cors(request) }
   );
 }
@@ -49,7 +55,30 @@ export async function POST(request: NextRequest) {
   if (isAuthError(auth)) return auth;
 
   const body = await request.json();
-  const profile: UserProfile | undefined = body.profile;
+  const now = new Date().toISOString();
+
+  // Current extension sends the whole profile list; older versions send a single profile
+  let profiles: StoredProfile[] | null = null;
+  let activeProfileId: string | null = null;
+  let profile: UserProfile | undefined = body.profile;
+
+  if (Array.isArray(body.profiles)) {
+    if (body.profiles.length > MAX_PROFILES || !body.profiles.every(isStoredProfile)) {
+      return NextResponse.json(
+        { error: "invalid_profiles", message: `Send up to ${MAX_PROFILES} profiles, each with an id, name and profile.` },
+        { status: 400, headers: cors(request) }
+      );
+    }
+    profiles = (body.profiles as StoredProfile[]).map((p) => ({
+      id: p.id,
+      name: p.name.trim() || "Untitled",
+      profile: p.profile,
+      updatedAt: p.updatedAt || now,
+    }));
+    const active = profiles.find((p) => p.id === body.activeProfileId) ?? profiles[0];
+    activeProfileId = active?.id ?? null;
+    profile = active?.profile ?? ({} as UserProfile);
+  }
 
   if (!profile) {
     return NextResponse.json(
@@ -60,7 +89,7 @@ export async function POST(request: NextRequest) {
 
   const profileWithMeta: UserProfile = {
     ...profile,
-    updatedAt: new Date().toISOString(),
+    updatedAt: now,
   };
 
   const sb = userClient(auth.token);
@@ -71,7 +100,8 @@ export async function POST(request: NextRequest) {
       full_name: getFullName(profileWithMeta),
       email: profileWithMeta.email || undefined,
       phone: profileWithMeta.phone || undefined,
-      updated_at: new Date().toISOString(),
+      ...(profiles ? { profiles, active_profile_id: activeProfileId } : {}),
+      updated_at: now,
     })
     .eq("user_id", auth.userId);
 
@@ -84,7 +114,7 @@ export async function POST(request: NextRequest) {
   }
 
   return NextResponse.json(
-    { ok: true, profile: profileWithMeta },
+    { ok: true, profile: profileWithMeta, ...(profiles ? { profiles, activeProfileId } : {}) },
     { headers: cors(request) }
   );
 }
@@ -96,7 +126,7 @@ export async function DELETE(request: NextRequest) {
   const sb = userClient(auth.token);
   const { error } = await sb
     .from("user_profiles")
-    .update({ profile_data: {}, updated_at: new Date().toISOString() })
+    .update({ profile_data: {}, profiles: [], active_profile_id: null, updated_at: new Date().toISOString() })
     .eq("user_id", auth.userId);
 
   if (error) {
@@ -1,6 +1,6 @@
 /**
  * Copilot-specific prompts for the Vaulty Web Copilot feature.
- * Used for on-demand page summarization and future capabilities.
+ * Used for on-demand page summarization and questions about the page.
  */
 
 export interface CopilotPageContext {
@@ -43,3 +43,23 @@ ${context.pageText?.slice(0, 4000) || "(no text extracted)"}
 
 Summarize this page.`;
 }
+
+export const COPILOT_CHAT_SYSTEM = `You are Vaulty Copilot, a helpful web browsing assistant.
+The user is viewing a web page and asking questions about it. The page content
+(and optionally a screenshot) is below; the conversation so far follows.
+
+Rules:
+- Answer from the page. If the page doesn't say, say so plainly instead of guessing
+- Quote exact figures, dates and requirements (salary ranges, visa sponsorship, deadlines) as written
+- Keep answers short: a few sentences or a short list
+- Answer follow-up questions in the context of the earlier ones
+- Reply in plain text, not JSON or Markdown headings`;
+
+export function buildCopilotChatContext(context: CopilotPageContext): string {
+  return `Page URL: ${context.url}
+Page Title: ${context.title}
+${context.selectedText ? `\nSelected Text: ${context.selectedText}` : ""}
+
+Page Content (truncated):
+${context.pageText?.slice(0, 6000) || "(no text extracted)"}`;
+}
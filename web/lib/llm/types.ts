@@ -125,6 +125,47 @@ export interface FormField {
   ariaControls?: string | null;
 }
 
+// "Add another position" style button that opens one more repeated form section.
+export interface AddSectionButton {
+  index: number;
+  frameId: number;
+  locator: string;
+  label: string;
+  section?: string;
+}
+
+// Compact field inventory built by the extension's content script for the
+// apply-agent fill route. `index` is unique across all frames of the tab.
+export interface InventoryField {
+  index: number;
+  frameId: number;
+  locator: string; // CSS selector; " >>> " separates shadow-root hops
+  kind:
+    | "input"
+    | "select"
+    | "checkbox"
+    | "radio"
+    | "textarea"
+    | "file"
+    | "combobox" // ARIA/react-select dropdowns and typeahead pickers
+    | "radiogroup" // div-based radio buttons; options are the choices
+    | "date"
+    | "richtext"; // contenteditable editors
+  tag: string;
+  type: string;
+  label: string;
+  name?: string;
+  placeholder?: string;
+  autocomplete?: string;
+  required?: boolean;
+  value?: string;
+  checked?: boolean;
+  options?: string[];
+  group?: string; // question a checkbox/radio option belongs to
+  section?: string; // nearest preceding heading
+  accept?: string; // file inputs only
+}
+
 export interface FormButton {
   index: number;
   tag: string;
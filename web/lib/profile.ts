@@ -21,9 +21,56 @@ export interface UserProfile {
   linkedIn?: string;
   website?: string;
 
+  experience?: WorkExperience[];
+  education?: Education[];
+  skills?: string[];
+  languages?: string[];
+
+  workAuthorization?: string;
+  requiresSponsorship?: string;
+  noticePeriod?: string;
+  desiredSalary?: string;
+  willingToRelocate?: string;
+  referralSource?: string;
+
   updatedAt?: string;
 }
 
+/** One past or current position, most recent first. Dates are YYYY-MM. */
+export interface WorkExperience {
+  company?: string;
+  title?: string;
+  location?: string;
+  startDate?: string;
+  endDate?: string;
+  current?: boolean;
+  description?: string;
+}
+
+/** One degree or program, most recent first. Dates are YYYY-MM. */
+export interface Education {
+  school?: string;
+  degree?: string;
+  field?: string;
+  startDate?: string;
+  endDate?: string;
+  gpa?: string;
+}
+
+/** A named profile ("Canada — personal", "US — work email") as synced by the extension. */
+export interface StoredProfile {
+  id: string;
+  name: string;
+  profile: UserProfile;
+  updatedAt?: string;
+}
+
+export function isStoredProfile(value: unknown): value is StoredProfile {
+  const p = value as StoredProfile;
+  return !!p && typeof p.id === "string" && !!p.id && typeof p.name === "string"
+    && typeof p.profile === "object" && p.profile !== null;
+}
+
 export function getFullName(profile: UserProfile): string {
   if (profile.fullName) return profile.fullName;
   return `${profile.firstName} ${profile.lastName}`.trim();
@@ -79,5 +126,25 @@ export function profileToContext(profile: UserProfile): Record<string, string> {
     ctx["portfolio"] = profile.website;
   }
 
+  const latestJob = profile.experience?.[0];
+  if (latestJob) {
+    if (latestJob.company) ctx["current company"] = latestJob.company;
+    if (latestJob.title) ctx["current title"] = latestJob.title;
+  }
+  const latestSchool = profile.education?.[0];
+  if (latestSchool) {
+    if (latestSchool.school) ctx["school"] = latestSchool.school;
+    if (latestSchool.degree) ctx["degree"] = latestSchool.degree;
+  }
+  if (profile.skills?.length) ctx["skills"] = profile.skills.join(", ");
+  if (profile.languages?.length) ctx["languages"] = profile.languages.join(", ");
+
+  if (profile.workAuthorization) ctx["work authorization"] = profile.workAuthorization;
+  if (profile.requiresSponsorship) ctx["requires sponsorship"] = profile.requiresSponsorship;
+  if (profile.noticePeriod) ctx["notice period"] = profile.noticePeriod;
+  if (profile.desiredSalary) ctx["desired salary"] = profile.desiredSalary;
+  if (profile.willingToRelocate) ctx["willing to relocate"] = profile.willingToRelocate;
+  if (profile.referralSource) ctx["how did you hear about us"] = profile.referralSource;
+
   return ctx;
 }
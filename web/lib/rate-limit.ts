@@ -59,7 +59,13 @@ export async function enforceRateLimit(
         used,
         resetsAt: midnight.toISOString(),
       },
-      { status: 429, headers: cors(request) }
+      {
+        status: 429,
+        headers: {
+          ...cors(request),
+          "Retry-After": String(Math.ceil((midnight.getTime() - Date.now()) / 1000)),
+        },
+      }
     );
   }
 
@@ -0,0 +1,11 @@
+-- Run this in the Supabase SQL Editor (Dashboard → SQL Editor → New Query)
+-- Adds a profiles JSONB column to user_profiles for the extension's named
+-- profiles: [{ id, name, profile, updatedAt }]. profile_data keeps holding
+-- the active profile so older extension versions keep working.
+-- Requires supabase-migration-profile-data.sql to have been run first.
+
+alter table public.user_profiles
+  add column if not exists profiles jsonb not null default '[]';
+
+alter table public.user_profiles
+  add column if not exists active_profile_id text;